@@ -1,8 +1,22 @@
 const express = require("express")
 const http = require("http")
+const path = require("path")
 const WebSocket = require("ws")
 const cors = require("cors")
-const { randomUUID } = require("crypto")
+const { randomUUID, randomBytes, timingSafeEqual } = require("crypto")
+const { Chess } = require("chess.js")
+const { createGameArchive, formatPgnDate, formatPgnTime } = require("./lib/gameArchive")
+const { createRoomStore } = require("./lib/roomStore")
+const { createBackplane } = require("./lib/backplane")
+const { createSessionTokens } = require("./lib/sessionTokens")
+const { createPlayerStore } = require("./lib/playerStore")
+const { createAccountStore } = require("./lib/accountStore")
+const { createChatFilter } = require("./lib/chatFilter")
+const { createRating, updateRating } = require("./lib/glicko2")
+const { validateMessage, messageTypes, gameMessageTypes } = require("./lib/messageSchemas")
+const { createRateLimiter, parseRateLimit } = require("./lib/rateLimiter")
+const { logger } = require("./lib/logger")
+const { createMetricsRegistry } = require("./lib/metrics")
 require("dotenv").config()
 
 const app = express()
@@ -17,12 +31,13 @@ app.use(
   }),
 )
 app.use(express.json())
+app.use("/api", limitHttpRequests)
 
 // Create HTTP server
 const server = http.createServer(app)
 
 // Create WebSocket server
-const wss = new WebSocket.Server({ server })
+const wss = new WebSocket.Server({ server, verifyClient })
 
 // Game rooms for matchmaking - now indexed by both player and viewer PINs
 const gameRooms = new Map()
@@ -30,10 +45,222 @@ const gameRooms = new Map()
 const pinToRoom = new Map()
 // Active connections
 const clients = new Map()
+// Board models - maps room IDs to chess.js instances used to validate moves
+const roomBoards = new Map()
+// Flag timers - maps room IDs to the timeout that fires when the side to move runs out of time
+const clockTimers = new Map()
+// Reconnection grace timers - maps "roomId:seat" to the timeout that ends the game as abandoned
+const graceTimers = new Map()
+const RECONNECT_GRACE_MS = (parseInt(process.env.RECONNECT_GRACE_SECONDS, 10) || 60) * 1000
+// Sockets subscribed to live updates of the public challenge board
+const lobbySubscribers = new Set()
+// Open challenges of other instances - maps a room ID to { origin, entry }, kept current by their
+// lobby updates and heartbeats
+const remoteChallenges = new Map()
+// Chat limits and word filter - CHAT_BANNED_WORDS is a comma-separated list
+const CHAT_MAX_LENGTH = parseInt(process.env.CHAT_MAX_LENGTH, 10) || 300
+const CHAT_HISTORY_SIZE = 50
+const CHAT_RATE_LIMIT = parseInt(process.env.CHAT_RATE_LIMIT, 10) || 5 // Messages per window per connection
+const CHAT_RATE_WINDOW_MS = 10 * 1000
+const chatFilter = createChatFilter((process.env.CHAT_BANNED_WORDS || "").split(","))
+// Room events kept per room for resume, and the audience of events everyone in a room receives
+const ROOM_EVENT_LOG_SIZE = parseInt(process.env.ROOM_EVENT_LOG_SIZE, 10) || 200
+const ROOM_AUDIENCE_ALL = ["creator", "joiner", "viewers"]
+// Spectator delay timers - maps roomId to the timer releasing the next held viewer event
+const spectatorTimers = new Map()
+// Rate limits are token buckets written as "count/seconds" - RATE_LIMIT_<MESSAGE_TYPE> overrides a message type
+const DEFAULT_MESSAGE_RATE_LIMITS = {
+  create_room: "5/60",
+  recreate_room: "10/60",
+  join_room: "20/60",
+  accept_challenge: "20/60",
+  find_match: "20/60",
+  game_message: "30/10",
+  ping: "30/30",
+  invalid: "10/60", // Messages without a known type, including invalid JSON
+}
+const DEFAULT_RATE_LIMIT = parseRateLimit(process.env.RATE_LIMIT_DEFAULT) || parseRateLimit("60/60")
+// An address gets a bigger bucket than a single connection since several players can share one
+const RATE_LIMIT_IP_MULTIPLIER = parseFloat(process.env.RATE_LIMIT_IP_MULTIPLIER) || 5
+// Message limiters - maps a message type to its per-connection and per-address buckets
+const messageLimiters = new Map()
+// Connections refused this many messages within a minute are disconnected
+const RATE_LIMIT_MAX_STRIKES = parseInt(process.env.RATE_LIMIT_MAX_STRIKES, 10) || 10
+const strikeLimiter = createRateLimiter(parseRateLimit(`${RATE_LIMIT_MAX_STRIKES}/60`))
+// New WebSocket connections per address
+const connectionLimiter = createRateLimiter(
+  parseRateLimit(process.env.RATE_LIMIT_CONNECTIONS) || parseRateLimit("30/60"),
+)
+const httpLimiter = createRateLimiter(parseRateLimit(process.env.RATE_LIMIT_HTTP) || parseRateLimit("120/60"))
+// Account routes get a stricter bucket against password guessing
+const authHttpLimiter = createRateLimiter(parseRateLimit(process.env.RATE_LIMIT_HTTP_AUTH) || parseRateLimit("10/60"))
+// Behind a proxy such as Railway's, client addresses come from X-Forwarded-For
+const TRUST_PROXY = process.env.TRUST_PROXY === "true"
+// Whether the missing TRUST_PROXY has been warned about - once is enough
+let untrustedProxyWarned = false
+// Matchmaking queues - maps a normalized time control like "5+3" to the players waiting for it
+const matchQueues = new Map()
+// Reasons a game can end with a rated result - decided on the server, a resignation by the losing seat,
+// or a draw accepted against the opponent's standing offer
+const RATED_REASONS = [
+  "checkmate",
+  "stalemate",
+  "insufficient_material",
+  "threefold_repetition",
+  "fifty_move_rule",
+  "timeout",
+  "abandonment",
+  "resignation",
+  "agreement",
+]
+// game_message subtypes that decide a game or start the next one - only the two seated players may send them
+const PLAYER_GAME_MESSAGES = ["resign", "draw-offer", "draw-accept", "game_end", "rematch-offer", "rematch-accept"]
+
+const dataDir = process.env.DATA_DIR || path.join(__dirname, "data")
+
+// Completed games, stored as PGN files
+const gameArchive = createGameArchive(path.join(dataDir, "games"))
+
+// Registered player profiles with their ratings
+const playerStore = createPlayerStore(path.join(dataDir, "players.json"))
+
+// User accounts - an account's ID is also its player profile ID
+const accountStore = createAccountStore(path.join(dataDir, "accounts.json"))
+
+// Room snapshots so live games survive a restart - ROOM_STORE=file to keep them on disk
+const roomStore = createRoomStore(process.env.ROOM_STORE || "memory", {
+  filePath: process.env.ROOM_STORE_FILE || path.join(dataDir, "rooms.json"),
+})
+// Pending debounced snapshot write
+let snapshotTimer = null
+const SNAPSHOT_DELAY = 1000
+// Most recent events per room kept in a snapshot - enough to resume across a restart without copying the whole log
+const SNAPSHOT_EVENT_LOG_SIZE = 50
+
+// Graceful shutdown - on SIGTERM clients get this long to leave before the remaining sockets are closed
+const SHUTDOWN_DRAIN_MS = (parseInt(process.env.SHUTDOWN_DRAIN_SECONDS, 10) || 10) * 1000
+// Message types that would create a room, refused while shutting down
+const ROOM_CREATING_TYPES = ["create_room", "recreate_room", "find_match", "accept_challenge"]
+let shuttingDown = false
+
+// Cross-instance messaging so players on different replicas can share a room - BACKPLANE=redis to scale out
+const instanceId = randomUUID()
+const backplane = createBackplane(process.env.BACKPLANE || "memory", { url: process.env.REDIS_URL })
+// Clients connected here whose room lives on another instance - maps client IDs to the owning instance ID
+const remoteClients = new Map()
+// Join requests waiting for another instance to claim the PIN - maps client IDs to { ws, data, timer }
+const pendingLookups = new Map()
+// Instances heartbeat over the backplane - proxies for clients of an instance gone quiet for too long are dropped
+const INSTANCE_HEARTBEAT_MS = 10 * 1000
+const INSTANCE_TIMEOUT_MS = 3 * INSTANCE_HEARTBEAT_MS
+// Last heartbeat seen from each other instance - maps instance IDs to timestamps
+const instanceLastSeen = new Map()
+// Room PINs are reserved on the backplane so no two instances hand out the same PIN - renewed with each heartbeat
+const PIN_RESERVATION_TTL_MS = 60 * 1000
+
+// Prometheus metrics for this instance, served on /metrics
+const metrics = createMetricsRegistry()
+const connectionsOpened = metrics.counter("chessaki_connections_opened_total", "WebSocket connections opened")
+const connectionsClosed = metrics.counter(
+  "chessaki_connections_closed_total",
+  "WebSocket connections closed, by code",
+  ["code"],
+)
+const gameMessagesRelayed = metrics.counter(
+  "chessaki_game_messages_relayed_total",
+  "Relayed game messages, by subtype",
+  ["type"],
+)
+const inactiveRoomsClosed = metrics.counter("chessaki_inactive_rooms_closed_total", "Rooms closed for inactivity")
+const heartbeatTerminations = metrics.counter(
+  "chessaki_heartbeat_terminations_total",
+  "Connections terminated for missing a heartbeat pong",
+)
+const rttSeconds = metrics.histogram(
+  "chessaki_rtt_seconds",
+  "Round trip time of heartbeat pings",
+  [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+)
+const roomLifetimeSeconds = metrics.histogram(
+  "chessaki_room_lifetime_seconds",
+  "Time from room creation to removal",
+  [60, 300, 900, 1800, 3600, 7200, 14400, 43200],
+)
+metrics.gauge("chessaki_connections", "Open WebSocket connections", () => wss.clients.size)
+metrics.gauge("chessaki_rooms", "Rooms on this instance, by state", () =>
+  ["lobby", "active"].map((state) => ({
+    labels: { state },
+    value: Array.from(gameRooms.values()).filter((room) => room.state === state).length,
+  })),
+)
+
+// Signed per-seat tokens that let a player reclaim their seat - SESSION_SECRET must be shared by all instances
+if (!process.env.SESSION_SECRET) {
+  logger.warn("SESSION_SECRET not set - using a random secret, session tokens will not survive a restart")
+}
+const tokenSecret = process.env.SESSION_SECRET || randomBytes(32).toString("hex")
+const sessionTokens = createSessionTokens(tokenSecret)
+// Account tokens are signed with a derived key so a seat token can never pass as one
+const authTokens = createSessionTokens(`${tokenSecret}:auth`)
+const AUTH_TOKEN_TTL_MS = (parseInt(process.env.AUTH_TOKEN_TTL_HOURS, 10) || 24 * 30) * 60 * 60 * 1000
+
+const STARTING_FEN = "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1"
+
+// Read an account token from the Authorization header or a ?token= query parameter
+function getRequestToken(req) {
+  const header = req.headers.authorization
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice(7)
+  }
+  const url = new URL(req.url, "http://localhost")
+  return url.searchParams.get("token")
+}
+
+// Verify an account token - returns the account or null
+function verifyAuthToken(token) {
+  const payload = authTokens.verify(token)
+  if (!payload || payload.exp < Date.now()) return null
+  return accountStore.get(payload.userId)
+}
+
+// Check the account token during the WebSocket upgrade - no token plays as a guest, a bad token is refused
+function verifyClient(info, callback) {
+  if (shuttingDown) {
+    return callback(false, 503, "Server restarting")
+  }
+
+  const address = getClientAddress(info.req)
+  if (!connectionLimiter.take(address)) {
+    logger.warn("Rejected WebSocket upgrade: too many connections", { address })
+    return callback(false, 429, "Too many connections")
+  }
+
+  const token = getRequestToken(info.req)
+  if (!token) {
+    info.req.account = null
+    return callback(true)
+  }
+
+  const account = verifyAuthToken(token)
+  if (!account) {
+    logger.warn("Rejected WebSocket upgrade with invalid token", {
+      origin: info.req.headers.origin || info.req.headers.host,
+      address,
+    })
+    return callback(false, 401, "Invalid or expired token")
+  }
+
+  info.req.account = account
+  callback(true)
+}
 
 // Heartbeat to keep connections alive
 function heartbeat() {
   this.isAlive = true
+  if (this.pingSentAt) {
+    rttSeconds.observe((Date.now() - this.pingSentAt) / 1000)
+    this.pingSentAt = null
+  }
 }
 
 // Handle WebSocket connections
@@ -44,72 +271,85 @@ wss.on("connection", (ws, req) => {
   ws.isAlive = true
   ws.id = clientId
   ws.room = null
+  ws.userId = req.account ? req.account.id : null // Stable account ID, null for guests
+  ws.username = req.account ? req.account.username : null
+  ws.remoteAddress = getClientAddress(req)
 
   // Store client connection
   clients.set(clientId, ws)
+  connectionsOpened.inc()
 
-  console.log(`Client connected: ${clientId} from ${req.headers.origin || req.headers.host}`)
-  console.log(`Total connections: ${clients.size}, Total rooms: ${gameRooms.size}`)
+  getClientLog(ws).info("Client connected", {
+    origin: req.headers.origin || req.headers.host,
+    address: ws.remoteAddress,
+    connections: clients.size,
+    rooms: gameRooms.size,
+  })
 
   // Setup ping-pong for connection health check
   ws.on("pong", heartbeat)
 
   // Handle messages from client
   ws.on("message", (message) => {
+    let data
+    let invalid = null
+    try {
+      data = JSON.parse(message)
+    } catch (error) {
+      invalid = { code: "invalid_json", message: "Message is not valid JSON" }
+    }
+
+    // Charged before validation so floods of malformed messages are throttled too
+    if (!allowClientMessage(ws, getRateLimitType(data), data?.requestId)) return
+
+    // Malformed messages are answered here and never reach a handler - each one also counts as a strike
+    invalid = invalid || validateMessage(data)
+    if (invalid) {
+      getClientLog(ws).info("Rejected invalid message", { type: data?.type, code: invalid.code, field: invalid.field })
+      sendMessageError(ws, invalid, data?.requestId)
+      takeStrike(ws, "invalid", data?.requestId)
+      return
+    }
+
     try {
-      const data = JSON.parse(message)
-
-      // Handle different message types
-      switch (data.type) {
-        case "create_room":
-          handleCreateRoom(ws, data)
-          break
-
-        case "join_room":
-          handleJoinRoom(ws, data)
-          break
-
-        case "game_message":
-          handleGameMessage(ws, data)
-          break
-
-        case "leave_room":
-          handleLeaveRoom(ws)
-          break
-
-        case "ping":
-          // Just send a pong back with the same timestamp
-          ws.send(
-            JSON.stringify({
-              type: "pong",
-              timestamp: data.timestamp,
-            }),
-          )
-          break
-
-        case "recreate_room":
-          handleRecreateRoom(ws, data)
-          break
-
-        default:
-          console.log(`Unknown message type: ${data.type}`)
+      // Pings are answered here so RTT measures this instance
+      if (data.type !== "ping" && remoteClients.has(clientId)) {
+        relayToOwner(ws, data)
+        return
+      }
+
+      // The room for an unknown PIN or challenge may live on another instance
+      if ((data.type === "join_room" || data.type === "accept_challenge") && !getLocalRoomFor(data)) {
+        findRoomOwner(ws, data)
+        return
       }
+
+      handleClientMessage(ws, data)
     } catch (error) {
-      console.error("Error handling message:", error)
+      getClientLog(ws).error("Error handling message", { type: data.type, error })
     }
   })
 
   // Handle disconnection
   ws.on("close", (code, reason) => {
-    console.log(`Client disconnected: ${clientId}, Code: ${code}, Reason: ${reason || "No reason"}`)
-    console.log(`Remaining connections: ${clients.size - 1}, Remaining rooms: ${gameRooms.size}`)
+    connectionsClosed.inc({ code })
+    getClientLog(ws).info("Client disconnected", {
+      code,
+      reason: String(reason) || null,
+      connections: clients.size - 1,
+      rooms: gameRooms.size,
+    })
     handleLeaveRoom(ws)
+    removeFromMatchQueue(ws)
+    lobbySubscribers.delete(ws)
     clients.delete(clientId)
+    releaseRemoteClient(clientId)
+    scheduleSnapshot()
   })
 
   // Handle WebSocket errors
   ws.on("error", (error) => {
-    console.error(`WebSocket error for client ${clientId}:`, error)
+    getClientLog(ws).error("WebSocket error", { error })
   })
 
   // Send initial connection acknowledgment
@@ -117,49 +357,477 @@ wss.on("connection", (ws, req) => {
     JSON.stringify({
       type: "connection_established",
       clientId,
+      userId: ws.userId,
+      username: ws.username,
+      guest: !ws.userId,
     }),
   )
 })
 
-// Recreate a room with the same PIN for rematch
-function handleRecreateRoom(ws, data) {
-  const { pin, playerName, timeControl, totalGames, countdown } = data
+// Logger tagged with a connection's client ID and current room
+function getClientLog(ws) {
+  return logger.child({ clientId: ws.id, roomId: ws.room || undefined })
+}
+
+// Logger tagged with a room's ID
+function getRoomLog(room) {
+  return logger.child({ roomId: room.id })
+}
 
-  console.log(`Recreating room with PIN: ${pin} for rematch`)
+// A room for debug logs - the event logs hold serialized events whose PINs redaction cannot see, so only count them
+function getRoomSummary(room) {
+  const { eventLog, spectatorQueue, ...rest } = room
+  return { ...rest, eventLog: eventLog.length, spectatorQueue: spectatorQueue.length }
+}
+
+// Reply to a message that was rejected, echoing its requestId so the client can match the error to it
+function sendMessageError(ws, { code, message, field, ...details }, requestId) {
+  if (ws.readyState !== WebSocket.OPEN) return
+  ws.send(
+    JSON.stringify({
+      type: "error",
+      code,
+      message,
+      field: field ?? null,
+      requestId: typeof requestId === "string" || typeof requestId === "number" ? requestId : null,
+      ...details,
+    }),
+  )
+}
 
-  // Delete existing room if it exists
-  if (gameRooms.has(pin)) {
-    console.log(`Deleting existing room ${pin} for recreation`)
-    gameRooms.delete(pin)
+// Remote address of a request - the first X-Forwarded-For entry when TRUST_PROXY is set
+function getClientAddress(req) {
+  const forwarded = req.headers["x-forwarded-for"]
+  if (TRUST_PROXY && forwarded) {
+    return forwarded.split(",")[0].trim()
   }
+  // Without it every client behind the proxy shares its address, and with it the per-address rate limits
+  if (forwarded && !untrustedProxyWarned) {
+    untrustedProxyWarned = true
+    logger.warn("Request came through a proxy but TRUST_PROXY is not set - clients share the proxy's rate limits", {
+      address: req.socket.remoteAddress,
+    })
+  }
+  return req.socket.remoteAddress
+}
 
-  // Create fresh room with same PIN
-  const room = {
-    id: pin,
-    creator: {
-      clientId: ws.id,
-      name: playerName,
+// Per-connection and per-address buckets for a message type, created on first use
+function getMessageLimiters(type) {
+  let limiters = messageLimiters.get(type)
+  if (!limiters) {
+    const limit =
+      parseRateLimit(process.env[`RATE_LIMIT_${type.toUpperCase()}`]) ||
+      parseRateLimit(DEFAULT_MESSAGE_RATE_LIMITS[type]) ||
+      DEFAULT_RATE_LIMIT
+    limiters = {
+      connection: createRateLimiter(limit),
+      address: createRateLimiter({
+        capacity: limit.capacity * RATE_LIMIT_IP_MULTIPLIER,
+        refillPerSecond: limit.refillPerSecond * RATE_LIMIT_IP_MULTIPLIER,
+      }),
+    }
+    messageLimiters.set(type, limiters)
+  }
+  return limiters
+}
+
+// Bucket a parsed message is charged to - its type if known, otherwise the shared "invalid" bucket
+function getRateLimitType(data) {
+  return typeof data?.type === "string" && messageTypes.includes(data.type) ? data.type : "invalid"
+}
+
+// Charge a message to its connection and address - refused messages count as strikes, too many disconnect
+function allowClientMessage(ws, type, requestId) {
+  const limiters = getMessageLimiters(type)
+  const allowedForConnection = limiters.connection.take(ws.id)
+  const allowedForAddress = limiters.address.take(ws.remoteAddress)
+  if (allowedForConnection && allowedForAddress) return true
+
+  const retryAfter = Math.max(limiters.connection.retryAfter(ws.id), limiters.address.retryAfter(ws.remoteAddress))
+  if (!takeStrike(ws, type, requestId, retryAfter)) return false
+
+  getClientLog(ws).info("Rate limited message", { type, address: ws.remoteAddress })
+  sendMessageError(ws, { code: "rate_limited", message: `Too many ${type} messages`, retryAfter }, requestId)
+  return false
+}
+
+// Count a refused message against its connection - returns false if that was one too many and it was closed
+function takeStrike(ws, type, requestId, retryAfter = 0) {
+  if (strikeLimiter.take(ws.id)) return true
+
+  getClientLog(ws).warn("Disconnecting client for flooding", { type, address: ws.remoteAddress })
+  const message = "Too many messages - disconnecting"
+  sendMessageError(ws, { code: "rate_limited", message, retryAfter, disconnect: true }, requestId)
+  ws.close(1008, "Rate limit exceeded")
+  return false
+}
+
+// Per-address limit on the HTTP API - answers 429 with Retry-After once the bucket is empty
+function limitHttpRequests(req, res, next) {
+  const limiter = req.path.startsWith("/auth/") ? authHttpLimiter : httpLimiter
+  const address = getClientAddress(req)
+  if (limiter.take(address)) return next()
+
+  res.set("Retry-After", String(Math.ceil(limiter.retryAfter(address) / 1000)))
+  res.status(429).json({ error: "Too many requests" })
+}
+
+// Forget full buckets so limiters only hold recently active clients
+function pruneRateLimiters() {
+  const now = Date.now()
+  messageLimiters.forEach(({ connection, address }) => {
+    connection.prune(now)
+    address.prune(now)
+  })
+  ;[strikeLimiter, connectionLimiter, httpLimiter, authHttpLimiter].forEach((limiter) => limiter.prune(now))
+}
+
+// Handle a message from a client - ws may be a local socket or a proxy for a client on another instance
+function handleClientMessage(ws, data) {
+  // No new rooms while the server drains for a restart - existing games carry on
+  if (shuttingDown && ROOM_CREATING_TYPES.includes(data.type)) {
+    const message = "Server is restarting - try again shortly"
+    sendMessageError(ws, { code: "server_restarting", message }, data.requestId)
+    return
+  }
+
+  // Handle different message types
+  switch (data.type) {
+    case "create_room":
+      handleCreateRoom(ws, data)
+      break
+
+    case "join_room":
+      handleJoinRoom(ws, data)
+      break
+
+    case "game_message":
+      handleGameMessage(ws, data)
+      break
+
+    case "leave_room":
+      handleLeaveRoom(ws)
+      break
+
+    case "ping":
+      // Just send a pong back with the same timestamp
+      ws.send(
+        JSON.stringify({
+          type: "pong",
+          timestamp: data.timestamp,
+        }),
+      )
+      break
+
+    case "recreate_room":
+      handleRecreateRoom(ws, data)
+      break
+
+    case "find_match":
+      handleFindMatch(ws, data)
+      break
+
+    case "cancel_match":
+      handleCancelMatch(ws)
+      break
+
+    case "lobby_subscribe":
+      handleLobbySubscribe(ws)
+      break
+
+    case "lobby_unsubscribe":
+      lobbySubscribers.delete(ws)
+      break
+
+    case "accept_challenge":
+      handleAcceptChallenge(ws, data)
+      break
+
+    case "chat":
+      handleChat(ws, data)
+      break
+
+    case "resume":
+      handleResume(ws, data)
+      break
+
+    default:
+      getClientLog(ws).warn("Unknown message type", { type: data.type })
+  }
+
+  if (data.type !== "ping") {
+    scheduleSnapshot()
+  }
+}
+
+// Ask the other instances whether one of them owns the room for a PIN - falls back to a local join
+function findRoomOwner(ws, data) {
+  const timer = setTimeout(() => {
+    pendingLookups.delete(ws.id)
+    try {
+      handleClientMessage(ws, data)
+    } catch (error) {
+      getClientLog(ws).error("Error handling message", { type: data.type, error })
+    }
+  }, backplane.lookupTimeout)
+
+  pendingLookups.set(ws.id, { ws, data, timer })
+  backplane.publish("rooms", {
+    kind: "lookup",
+    pin: data.pin,
+    clientId: ws.id,
+    origin: instanceId,
+    user: { userId: ws.userId, username: ws.username },
+    data,
+  })
+}
+
+// Forward a message from a local client to the instance that owns its room
+function relayToOwner(ws, data) {
+  backplane.publish(`instance:${remoteClients.get(ws.id)}`, { kind: "inbound", clientId: ws.id, data })
+}
+
+// A local client went away - tell the owning instance so it can free the seat
+function releaseRemoteClient(clientId) {
+  const lookup = pendingLookups.get(clientId)
+  if (lookup) {
+    clearTimeout(lookup.timer)
+    pendingLookups.delete(clientId)
+  }
+
+  const owner = remoteClients.get(clientId)
+  if (owner) {
+    remoteClients.delete(clientId)
+    backplane.publish(`instance:${owner}`, { kind: "disconnect", clientId })
+  }
+}
+
+// Stand-in socket for a client connected to another instance - sends and closes go over the backplane
+function createRemoteSocket(clientId, origin, user = {}) {
+  return {
+    id: clientId,
+    remote: true,
+    origin, // Instance holding the real socket
+    userId: user.userId || null,
+    username: user.username || null,
+    isAlive: true,
+    room: null,
+    readyState: WebSocket.OPEN,
+    send(data) {
+      backplane.publish(`instance:${origin}`, { kind: "deliver", clientId, data })
     },
-    joiner: null,
-    settings: {
-      timeControl,
-      totalGames,
-      countdown,
+    close(code, reason) {
+      backplane.publish(`instance:${origin}`, { kind: "close", clientId, code, reason })
+    },
+    terminate() {
+      this.close(1001, "Terminated by room owner")
     },
-    messages: [],
-    lastActivity: Date.now(),
   }
+}
+
+// The room a join_room (by PIN) or accept_challenge (by room ID) is for, if it lives on this instance
+function getLocalRoomFor(data) {
+  return data.type === "accept_challenge" ? gameRooms.get(data.roomId) : pinToRoom.get(data.pin)
+}
+
+// Claim a join request for a room that lives on this instance
+function handleRoomLookup({ clientId, origin, user, data }) {
+  const room = getLocalRoomFor(data)
+  if (origin === instanceId || !room) return
+
+  instanceLastSeen.set(origin, Date.now())
+  logger.info("Claiming remote client", { clientId, origin, roomId: room.id })
+  const remoteWs = createRemoteSocket(clientId, origin, user)
+  clients.set(clientId, remoteWs)
+  backplane.publish(`instance:${origin}`, { kind: "claimed", clientId, owner: instanceId })
+  handleClientMessage(remoteWs, data)
+}
+
+// Handle a backplane message addressed to this instance
+function handleInstanceMessage(message) {
+  const { kind, clientId } = message
+
+  switch (kind) {
+    case "claimed": {
+      // Another instance owns this client's room - relay everything there from now on
+      const lookup = pendingLookups.get(clientId)
+      if (!lookup) return
+      clearTimeout(lookup.timer)
+      pendingLookups.delete(clientId)
+      remoteClients.set(clientId, message.owner)
+      // Challenge board updates now come from the owning instance, like every other message
+      lobbySubscribers.delete(lookup.ws)
+      break
+    }
+
+    case "deliver": {
+      const localWs = clients.get(clientId)
+      if (localWs && localWs.readyState === WebSocket.OPEN) {
+        localWs.send(message.data)
+      }
+      break
+    }
 
-  gameRooms.set(pin, room)
-  ws.room = pin
+    case "close": {
+      const localWs = clients.get(clientId)
+      if (localWs && localWs.readyState === WebSocket.OPEN) {
+        localWs.close(message.code, message.reason)
+      }
+      break
+    }
+
+    case "inbound": {
+      const remoteWs = clients.get(clientId)
+      if (remoteWs && remoteWs.remote) {
+        handleClientMessage(remoteWs, message.data)
+      }
+      break
+    }
 
-  console.log(`Room recreated: ${pin} by ${playerName} for rematch`)
+    case "disconnect": {
+      const remoteWs = clients.get(clientId)
+      if (remoteWs && remoteWs.remote) {
+        getClientLog(remoteWs).info("Remote client disconnected")
+        dropRemoteSocket(remoteWs)
+      }
+      break
+    }
+
+    default:
+      logger.warn("Unknown backplane message kind", { kind, clientId })
+  }
+}
+
+// Forget the proxy for a client on another instance, freeing its seat like a local disconnect
+function dropRemoteSocket(remoteWs) {
+  remoteWs.readyState = WebSocket.CLOSED
+  handleLeaveRoom(remoteWs)
+  removeFromMatchQueue(remoteWs)
+  lobbySubscribers.delete(remoteWs)
+  clients.delete(remoteWs.id)
+  scheduleSnapshot()
+}
+
+// Drop proxies for clients of instances that stopped sending heartbeats - they went away without a disconnect
+function expireRemoteSockets(now) {
+  clients.forEach((clientWs) => {
+    if (!clientWs.remote || now - (instanceLastSeen.get(clientWs.origin) || 0) <= INSTANCE_TIMEOUT_MS) return
+    getClientLog(clientWs).warn("Dropping client of an unresponsive instance", { origin: clientWs.origin })
+    dropRemoteSocket(clientWs)
+  })
+
+  instanceLastSeen.forEach((lastSeen, id) => {
+    if (now - lastSeen <= INSTANCE_TIMEOUT_MS) return
+    instanceLastSeen.delete(id)
+    syncRemoteChallenges(id, [])
+  })
+}
+
+// Send an admin maintenance notice to every client connected to this instance
+function sendMaintenanceNotice({ message, timestamp }) {
+  const notice = JSON.stringify({ type: "maintenance", message, timestamp })
+  let delivered = 0
+  clients.forEach((clientWs) => {
+    // Proxies for remote clients are skipped - the instance holding their socket delivers to them
+    if (clientWs.remote || clientWs.readyState !== WebSocket.OPEN) return
+    clientWs.send(notice)
+    delivered++
+  })
+  logger.info("Maintenance notice sent", { clients: delivered })
+}
+
+// Recreate a room with the same PINs for rematch - a fresh lobby with the requester as creator.
+// Only a player currently seated in the room may do this, and not while a game is in progress.
+function handleRecreateRoom(ws, data) {
+  const { pin, timeControl, totalGames, countdown, spectatorDelay } = data
+  const { playerName, playerId } = getPlayerIdentity(ws, data)
+
+  getClientLog(ws).info("Recreating room for rematch")
+
+  const oldRoom = pinToRoom.get(pin)
+  if (!oldRoom) {
+    sendMessageError(ws, { code: "room_not_found", message: "Room not found" }, data.requestId)
+    return
+  }
+
+  const seat = getSeat(oldRoom, ws)
+  if (seat !== "creator" && seat !== "joiner") {
+    sendMessageError(ws, { code: "not_a_player", message: "Only players can recreate the room" }, data.requestId)
+    return
+  }
+  if (oldRoom.gameState.status === "playing") {
+    sendMessageError(ws, { code: "game_in_progress", message: "The game is still in progress" }, data.requestId)
+    return
+  }
+
+  getRoomLog(oldRoom).info("Replacing existing room for recreation")
+  const { playerPin, viewerPin, viewers } = oldRoom
+
+  // The opponent keeps their name but has to join the new lobby with the player PIN
+  const requesterIsJoiner = seat === "joiner"
+  const opponent = requesterIsJoiner ? oldRoom.creator : oldRoom.joiner
+  const requesterPlayerId = playerId ?? oldRoom[seat].playerId
+  const opponentName = requesterIsJoiner ? oldRoom.originalCreatorName : oldRoom.originalJoinerName
+  const opponentWs = opponent && opponent.clientId && clients.get(opponent.clientId)
+  if (opponentWs) opponentWs.room = null
+
+  removeRoom(oldRoom, { keepPins: true })
+
+  const settings = {
+    timeControl: timeControl ?? oldRoom.settings.timeControl,
+    totalGames: totalGames ?? oldRoom.settings.totalGames,
+    countdown: countdown ?? oldRoom.settings.countdown,
+    spectatorDelay:
+      spectatorDelay !== undefined ? parseSpectatorDelay(spectatorDelay) : oldRoom.settings.spectatorDelay,
+  }
+  const creatorName = playerName || oldRoom[seat].name
+  const room = createLobbyRoom({
+    playerPin,
+    viewerPin,
+    pinOwner: oldRoom.pinOwner,
+    playerName: creatorName,
+    playerId: requesterPlayerId,
+    settings,
+  })
+  room.originalJoinerName = opponentName
+
+  // The requester stays connected as creator, viewers carry over to the new room
+  room.creator.clientId = ws.id
+  room.creator.connected = true
+  ws.room = room.id
+  ws.isViewer = false
+  ws.pinType = "player"
+
+  room.viewers = viewers
+  viewers.forEach((viewer) => {
+    const viewerWs = clients.get(viewer.clientId)
+    if (viewerWs) viewerWs.room = room.id
+  })
+
+  getClientLog(ws).info("Room recreated for rematch", { playerName: creatorName })
+
+  // Tell the opponent where the new lobby is - they take the joiner seat with the player PIN
+  if (opponentWs && opponentWs.readyState === WebSocket.OPEN) {
+    opponentWs.send(
+      JSON.stringify({
+        type: "opponent_recreated_room",
+        pin: playerPin,
+        playerPin,
+        creatorName,
+        settings: room.settings,
+      }),
+    )
+  }
 
   ws.send(
     JSON.stringify({
       type: "room_recreated",
-      pin,
+      pin: playerPin,
+      playerPin,
+      viewerPin,
+      creatorName,
       settings: room.settings,
+      sessionToken: issueSessionToken(room, "creator"),
     }),
   )
 }
@@ -174,120 +842,594 @@ function generatePin() {
   return letters + digits
 }
 
-// Create a new game room with two PINs - NO WebSocket connection yet
-function handleCreateRoom(ws, data) {
-  const { playerName, timeControl, totalGames, countdown } = data
+// Reserve a PIN across instances for a room's owner token - resolves to false if another room holds it
+function reservePin(pin, pinOwner) {
+  return backplane.reserve(`pin:${pin}`, pinOwner, PIN_RESERVATION_TTL_MS)
+}
 
-  // Generate two unique PINs
-  let playerPin, viewerPin
-  do {
-    playerPin = generatePin()
-  } while (pinToRoom.has(playerPin))
+// Pick two unused PINs for a new room and reserve them - resolves to { playerPin, viewerPin }
+function reserveRoomPins(pinOwner) {
+  const pickPin = (otherPin, attempts = 10) => {
+    if (attempts === 0) return Promise.reject(new Error("No free PIN found"))
 
-  do {
-    viewerPin = generatePin()
-  } while (pinToRoom.has(viewerPin) || viewerPin === playerPin)
+    let pin
+    do {
+      pin = generatePin()
+    } while (pinToRoom.has(pin) || pin === otherPin)
+    return reservePin(pin, pinOwner).then((reserved) => (reserved ? pin : pickPin(otherPin, attempts - 1)))
+  }
+
+  return pickPin(null).then((playerPin) => pickPin(playerPin).then((viewerPin) => ({ playerPin, viewerPin })))
+}
+
+// Extend the reservations of a room's PINs - resolves to false if another room took one of them
+function renewRoomPins({ playerPin, viewerPin, pinOwner }) {
+  const pins = [playerPin, viewerPin]
+  return Promise.all(pins.map((pin) => reservePin(pin, pinOwner))).then((reserved) => reserved.every(Boolean))
+}
+
+// Give a room's PINs back so other instances can use them again
+function releaseRoomPins({ playerPin, viewerPin, pinOwner }) {
+  const pins = [playerPin, viewerPin]
+  Promise.all(pins.map((pin) => backplane.release(`pin:${pin}`, pinOwner))).catch((error) => {
+    logger.error("Error releasing room PINs", { error })
+  })
+}
+
+// Fresh game state for a new game in a room
+function createGameState(settings) {
+  return {
+    fen: STARTING_FEN, // Starting position
+    moves: [], // Array of moves in UCI format
+    turn: "w", // Current turn
+    status: "waiting", // waiting, playing, ended
+    creatorColor: "w", // Creator plays white, joiner plays black
+    clocks: createClocks(settings?.timeControl), // Server-owned clocks, null for untimed games
+    drawOfferBy: null, // Color of the player whose draw offer stands
+    gameStartSent: false, // Whether game_start went out - from then on a resignation is scored even before a move
+  }
+}
+
+// Parse a time control like "5+3" (minutes + increment seconds), 10 (minutes) or { base, increment }
+function parseTimeControl(timeControl) {
+  let base, increment
+  if (typeof timeControl === "number") {
+    base = timeControl
+    increment = 0
+  } else if (typeof timeControl === "string") {
+    const [baseStr, incrementStr] = timeControl.split("+")
+    base = parseFloat(baseStr)
+    increment = incrementStr === undefined ? 0 : parseFloat(incrementStr)
+  } else if (timeControl && typeof timeControl === "object") {
+    base = Number(timeControl.base ?? timeControl.minutes)
+    increment = Number(timeControl.increment ?? 0)
+  }
+
+  if (!Number.isFinite(base) || base <= 0 || !Number.isFinite(increment) || increment < 0) {
+    return null
+  }
+  return { baseMs: base * 60 * 1000, incrementMs: increment * 1000 }
+}
+
+// Parse a spectator delay: a number of seconds, { seconds } or { moves } - null means viewers see the game live
+function parseSpectatorDelay(spectatorDelay) {
+  if (typeof spectatorDelay === "number") {
+    spectatorDelay = { seconds: spectatorDelay }
+  }
+  if (!spectatorDelay || typeof spectatorDelay !== "object") return null
 
-  // Create a new room with unique room ID - LOBBY state (no active connections)
+  if (spectatorDelay.moves !== undefined) {
+    const moves = Number(spectatorDelay.moves)
+    return Number.isInteger(moves) && moves > 0 ? { moves } : null
+  }
+  const seconds = Number(spectatorDelay.seconds)
+  return Number.isFinite(seconds) && seconds > 0 ? { seconds } : null
+}
+
+// Initial clock state for a time control - clocks start running after white's first move
+function createClocks(timeControl) {
+  const parsed = parseTimeControl(timeControl)
+  if (!parsed) return null
+  return {
+    w: parsed.baseMs, // Remaining time in ms
+    b: parsed.baseMs,
+    incrementMs: parsed.incrementMs,
+    lastMoveAt: null, // Server timestamp of the last move, null until the clock starts
+  }
+}
+
+// Create and register a room in LOBBY state (no active connections) for the given reserved PINs
+function createLobbyRoom({ playerPin, viewerPin, pinOwner, playerName, playerId, settings, isPublic = false }) {
   const roomId = `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
   const room = {
     id: roomId,
     playerPin: playerPin,
     viewerPin: viewerPin,
+    pinOwner, // Owner token of the PIN reservations - a recreated room keeps it along with the PINs
     state: "lobby", // New state: lobby -> active -> ended
+    isPublic, // Listed on the public challenge board while waiting for a joiner
+    createdAt: Date.now(),
     creator: {
       name: playerName,
+      playerId: getRegisteredPlayerId(playerId), // Registered profile for ratings, null for guests
       connected: false,
+      sessionNonce: randomBytes(16).toString("hex"), // Rotating this invalidates the seat's session token
     },
     joiner: {
       name: null,
+      playerId: null,
       connected: false,
+      sessionNonce: null,
     },
     viewers: [], // Array to store viewer connections
     originalCreatorName: playerName, // Track original creator
     originalJoinerName: null, // Track original joiner
     lastActivity: Date.now(), // Track activity for auto-close
-    settings: {
-      timeControl,
-      totalGames,
-      countdown,
-    },
-    gameState: {
-      fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1", // Starting position
-      moves: [], // Array of moves in UCI format
-      turn: "w", // Current turn
-      status: "waiting", // waiting, playing, ended
-    },
+    settings,
+    gameState: createGameState(settings),
+    match: createMatch(settings.totalGames),
     messages: [],
+    chat: createChatState(),
+    seq: 0, // Sequence number of the last room event
+    eventLog: [], // Recent room events for resume - { seq, audience, data }
+    spectatorQueue: [], // Events held back from viewers by the spectator delay - { seq, data, ply, queuedAt }
+    spectatorPly: 0, // Number of moves viewers have been shown
+  }
+
+  // Store room and create PIN mappings
+  gameRooms.set(roomId, room)
+  pinToRoom.set(playerPin, room)
+  pinToRoom.set(viewerPin, room)
+
+  if (isOpenChallenge(room)) {
+    broadcastLobbyUpdate({ action: "added", room: toLobbyEntry(room) })
+  }
+
+  return room
+}
+
+// Remove a room and its PIN mappings, stopping its clock - the PINs are released unless a new room keeps them
+function removeRoom(room, { keepPins = false } = {}) {
+  if (isOpenChallenge(room)) {
+    broadcastLobbyUpdate({ action: "removed", roomId: room.id })
+  }
+
+  if (pinToRoom.get(room.playerPin) === room) pinToRoom.delete(room.playerPin)
+  if (pinToRoom.get(room.viewerPin) === room) pinToRoom.delete(room.viewerPin)
+  if (!keepPins) releaseRoomPins(room)
+  roomBoards.delete(room.id)
+  stopClock(room)
+  clearGracePeriods(room)
+  clearTimeout(spectatorTimers.get(room.id))
+  spectatorTimers.delete(room.id)
+  gameRooms.delete(room.id)
+  roomLifetimeSeconds.observe((Date.now() - room.createdAt) / 1000)
+}
+
+// Notify everyone in a room that it is closing, disconnect them and remove the room
+function closeRoom(room, reason) {
+  const closeMessage = JSON.stringify({ type: "room_closed", reason })
+  getAudienceClientIds(room, ROOM_AUDIENCE_ALL).forEach((clientId) => {
+    const participantWs = clients.get(clientId)
+    if (participantWs && participantWs.readyState === WebSocket.OPEN) {
+      participantWs.send(closeMessage)
+      participantWs.close()
+    }
+  })
+
+  removeRoom(room)
+  scheduleSnapshot()
+}
+
+// Disconnect a viewer (by client ID) or a player (by seat or client ID) - returns false if they are not in the room.
+// A kicked player's session token is revoked so the seat cannot be reclaimed; the game then runs out its grace period.
+function kickFromRoom(room, { clientId, seat }, reason) {
+  if (!seat && clientId) {
+    if (room.creator.clientId === clientId) seat = "creator"
+    else if (room.joiner?.clientId === clientId) seat = "joiner"
+    else if (!room.viewers.some((viewer) => viewer.clientId === clientId)) return false
+  }
+  if (seat) {
+    if (!["creator", "joiner"].includes(seat) || !room[seat]?.sessionNonce) return false
+    room[seat].sessionNonce = randomBytes(16).toString("hex")
+    clientId = room[seat].clientId
+    scheduleSnapshot()
+  }
+
+  const targetWs = clientId && clients.get(clientId)
+  if (targetWs && targetWs.readyState === WebSocket.OPEN) {
+    targetWs.send(JSON.stringify({ type: "kicked", reason }))
+    targetWs.close(4001, "Kicked")
+  }
+  getRoomLog(room).info("Kicked from room", { clientId, seat, reason })
+  return true
+}
+
+// Create a new game room with two PINs - NO WebSocket connection yet
+function handleCreateRoom(ws, data) {
+  const pinOwner = randomUUID()
+
+  reserveRoomPins(pinOwner)
+    .then(({ playerPin, viewerPin }) => {
+      // The client may have gone while the PINs were reserved
+      if (ws.readyState !== WebSocket.OPEN) {
+        releaseRoomPins({ playerPin, viewerPin, pinOwner })
+        return
+      }
+      openCreatedRoom(ws, data, { playerPin, viewerPin, pinOwner })
+      scheduleSnapshot()
+    })
+    .catch((error) => {
+      getClientLog(ws).error("Error creating room", { error })
+      sendMessageError(ws, { code: "room_unavailable", message: "Could not create a room - try again" }, data.requestId)
+    })
+}
+
+// Set up the lobby room for a create_room request once its PINs are reserved
+function openCreatedRoom(ws, data, { playerPin, viewerPin, pinOwner }) {
+  const { timeControl, totalGames, countdown, isPublic, spectatorDelay } = data
+  const { playerName, playerId } = getPlayerIdentity(ws, data)
+
+  const room = createLobbyRoom({
+    playerPin,
+    viewerPin,
+    pinOwner,
+    playerName,
+    playerId,
+    settings: { timeControl, totalGames, countdown, spectatorDelay: parseSpectatorDelay(spectatorDelay) },
+    isPublic: isPublic === true,
+  })
+  const roomId = room.id
+
+  getRoomLog(room).info("Room lobby created", { clientId: ws.id, playerName })
+  getRoomLog(room).debug("Room data", { room: getRoomSummary(room) })
+
+  // Send a response with both PINs - then CLOSE this connection to save costs
+  const responseData = {
+    type: "room_created",
+    playerPin: playerPin,
+    viewerPin: viewerPin,
+    creatorName: playerName,
+    settings: room.settings,
+    sessionToken: issueSessionToken(room, "creator"), // Needed to reclaim the creator seat
+    // Add a full response for debugging
+    debugInfo: {
+      timestamp: Date.now(),
+      roomCount: gameRooms.size,
+      clientCount: clients.size,
+    },
+  }
+
+  getClientLog(ws).debug("Sending room_created response", { response: responseData })
+
+  try {
+    ws.send(JSON.stringify(responseData))
+    getClientLog(ws).debug("Room created response sent")
+
+    // Close the connection immediately to save costs - player will reconnect when game is ready
+    setTimeout(() => {
+      getClientLog(ws).debug("Closing room creation connection to save costs")
+      ws.close(1000, "Room created successfully")
+    }, 1000)
+  } catch (error) {
+    getClientLog(ws).error("Error sending room_created response", { error })
+  }
+}
+
+// Put a player in the queue for a time control, pairing them with the first player already waiting
+function handleFindMatch(ws, data) {
+  const { timeControl, totalGames, countdown } = data
+  const { playerName, playerId } = getPlayerIdentity(ws, data)
+
+  if (ws.room) {
+    const error = { code: "already_in_room", message: "Leave your room before finding a match" }
+    sendMessageError(ws, error, data.requestId)
+    return
+  }
+
+  const parsed = parseTimeControl(timeControl)
+  if (!parsed) {
+    sendMessageError(ws, { code: "invalid_time_control", message: "Unsupported time control" }, data.requestId)
+    return
+  }
+
+  // Queue key in minutes + seconds, so "5+3" and { base: 5, increment: 3 } share a queue
+  const queueKey = `${parsed.baseMs / 60000}+${parsed.incrementMs / 1000}`
+
+  // Searching again replaces any earlier search by the same client
+  removeFromMatchQueue(ws)
+
+  const queue = matchQueues.get(queueKey) || []
+  const opponent = queue.shift()
+
+  if (!opponent) {
+    queue.push({ ws, playerName, playerId, totalGames, countdown, queuedAt: Date.now() })
+    matchQueues.set(queueKey, queue)
+    ws.matchQueue = queueKey
+
+    getClientLog(ws).info("Queued for matchmaking", { playerName, timeControl: queueKey, waiting: queue.length })
+    ws.send(JSON.stringify({ type: "match_queued", timeControl: queueKey, queueSize: queue.length }))
+    return
+  }
+
+  if (queue.length === 0) matchQueues.delete(queueKey)
+  opponent.ws.matchQueue = null
+
+  // Both players stay marked while the PINs are reserved, so a cancel or a new search in the meantime is honored
+  const pendingMatch = { queueKey }
+  opponent.ws.pendingMatch = pendingMatch
+  ws.pendingMatch = pendingMatch
+  const isStillMatching = (playerWs) =>
+    playerWs.readyState === WebSocket.OPEN && playerWs.pendingMatch === pendingMatch && !playerWs.room
+
+  const pinOwner = randomUUID()
+  reserveRoomPins(pinOwner)
+    .then(({ playerPin, viewerPin }) => {
+      const opponentMatching = isStillMatching(opponent.ws)
+      const searcherMatching = isStillMatching(ws)
+      clearPendingMatch(opponent.ws, pendingMatch)
+      clearPendingMatch(ws, pendingMatch)
+
+      // Either player may have left, cancelled or joined a room meanwhile - the one still searching keeps searching
+      if (!opponentMatching || !searcherMatching) {
+        releaseRoomPins({ playerPin, viewerPin, pinOwner })
+        if (opponentMatching) {
+          const waiting = matchQueues.get(queueKey) || []
+          waiting.unshift(opponent)
+          matchQueues.set(queueKey, waiting)
+          opponent.ws.matchQueue = queueKey
+        } else if (searcherMatching) {
+          handleFindMatch(ws, data)
+        }
+        return
+      }
+
+      startMatch(queueKey, opponent, { ws, playerName, playerId }, { playerPin, viewerPin, pinOwner })
+      scheduleSnapshot()
+    })
+    .catch((error) => {
+      logger.error("Error creating match room", { error, timeControl: queueKey })
+      const unavailable = { code: "room_unavailable", message: "Could not create a room - search again" }
+      if (opponent.ws.pendingMatch === pendingMatch) sendMessageError(opponent.ws, unavailable)
+      if (ws.pendingMatch === pendingMatch) sendMessageError(ws, unavailable, data.requestId)
+      clearPendingMatch(opponent.ws, pendingMatch)
+      clearPendingMatch(ws, pendingMatch)
+    })
+}
+
+// Forget a player's pending match unless they have moved on to another search
+function clearPendingMatch(playerWs, pendingMatch) {
+  if (playerWs.pendingMatch === pendingMatch) playerWs.pendingMatch = null
+}
+
+// Seat two matched players in a new active room and start their game
+function startMatch(queueKey, opponent, { ws, playerName, playerId }, { playerPin, viewerPin, pinOwner }) {
+  // The player who waited longest creates the room, with their match settings
+  const room = createLobbyRoom({
+    playerPin,
+    viewerPin,
+    pinOwner,
+    playerName: opponent.playerName,
+    playerId: opponent.playerId,
+    settings: { timeControl: queueKey, totalGames: opponent.totalGames ?? 1, countdown: opponent.countdown },
+  })
+
+  room.creator.clientId = opponent.ws.id
+  room.creator.connected = true
+  room.joiner.name = playerName
+  room.joiner.playerId = getRegisteredPlayerId(playerId)
+  room.joiner.clientId = ws.id
+  room.joiner.connected = true
+  room.joiner.sessionNonce = randomBytes(16).toString("hex")
+  room.originalJoinerName = playerName
+  room.state = "active"
+
+  const seats = [
+    ["creator", opponent.ws, playerName],
+    ["joiner", ws, opponent.playerName],
+  ]
+  seats.forEach(([seat, seatWs, opponentName]) => {
+    seatWs.room = room.id
+    seatWs.isViewer = false
+    seatWs.pinType = "player"
+    seatWs.send(
+      JSON.stringify({
+        type: "match_found",
+        seat,
+        playerPin,
+        viewerPin,
+        creatorName: room.creator.name,
+        joinerName: room.joiner.name,
+        opponentName,
+        settings: room.settings,
+        sessionToken: issueSessionToken(room, seat),
+      }),
+    )
+  })
+
+  getRoomLog(room).info("Matched players", {
+    creatorName: opponent.playerName,
+    joinerName: playerName,
+    timeControl: queueKey,
+  })
+  broadcastGameStart(room)
+}
+
+// Leave the matchmaking queue on request - also drops a match whose room is still being set up
+function handleCancelMatch(ws) {
+  const queueKey = ws.matchQueue || ws.pendingMatch?.queueKey
+  removeFromMatchQueue(ws)
+  ws.send(JSON.stringify({ type: "match_cancelled", timeControl: queueKey || null }))
+}
+
+// Remove a client from whichever matchmaking queue it is waiting in, or from the match being set up for it
+function removeFromMatchQueue(ws) {
+  ws.pendingMatch = null
+  const queueKey = ws.matchQueue
+  if (!queueKey) return
+
+  ws.matchQueue = null
+  const queue = (matchQueues.get(queueKey) || []).filter((entry) => entry.ws !== ws)
+  if (queue.length > 0) {
+    matchQueues.set(queueKey, queue)
+  } else {
+    matchQueues.delete(queueKey)
+  }
+}
+
+// A public room still waiting for its second player
+function isOpenChallenge(room) {
+  return room.isPublic && room.state === "lobby" && !room.joiner.clientId
+}
+
+// Challenge board entry for a room - PINs are left out, challenges are accepted by room ID
+function toLobbyEntry(room) {
+  return {
+    roomId: room.id,
+    creatorName: room.creator.name,
+    creatorRating: getRatingSummary(room.creator.playerId, getRatingCategory(room.settings.timeControl)),
+    timeControl: room.settings.timeControl,
+    totalGames: room.settings.totalGames,
+    createdAt: room.createdAt,
+  }
+}
+
+// Open challenges of the rooms on this instance
+function getLocalChallenges() {
+  return Array.from(gameRooms.values()).filter(isOpenChallenge).map(toLobbyEntry)
+}
+
+// All open challenges across instances, oldest first
+function getOpenChallenges() {
+  return getLocalChallenges()
+    .concat(Array.from(remoteChallenges.values(), ({ entry }) => entry))
+    .sort((a, b) => a.createdAt - b.createdAt)
+}
+
+// Push a challenge board change of this instance to every subscriber, here and on the other instances
+function broadcastLobbyUpdate(update) {
+  notifyLobbySubscribers(update)
+  backplane.publish("rooms", { kind: "lobby_update", origin: instanceId, update }).catch((error) => {
+    logger.error("Error publishing challenge board update", { error })
+  })
+}
+
+// Send a challenge board change to the subscribers connected here
+function notifyLobbySubscribers(update) {
+  const data = JSON.stringify({ type: "lobby_update", ...update })
+  lobbySubscribers.forEach((subscriberWs) => {
+    if (subscriberWs.readyState === WebSocket.OPEN) {
+      subscriberWs.send(data)
+    }
+  })
+}
+
+// Apply a challenge board change published by another instance
+function handleRemoteLobbyUpdate({ origin, update }) {
+  if (origin === instanceId) return
+
+  if (update.action === "added") {
+    remoteChallenges.set(update.room.roomId, { origin, entry: update.room })
+  } else if (!remoteChallenges.delete(update.roomId)) {
+    return
   }
+  notifyLobbySubscribers(update)
+}
 
-  // Store room and create PIN mappings
-  gameRooms.set(roomId, room)
-  pinToRoom.set(playerPin, room)
-  pinToRoom.set(viewerPin, room)
+// Replace the challenges known for an instance with the full list from its heartbeat -
+// an empty list drops them all when the instance goes away
+function syncRemoteChallenges(origin, challenges) {
+  const current = new Set(challenges.map((entry) => entry.roomId))
+  remoteChallenges.forEach((challenge, roomId) => {
+    if (challenge.origin !== origin || current.has(roomId)) return
+    remoteChallenges.delete(roomId)
+    notifyLobbySubscribers({ action: "removed", roomId })
+  })
 
-  console.log(`Room lobby created: ${roomId} by ${playerName}`)
-  console.log(`Player PIN: ${playerPin}, Viewer PIN: ${viewerPin}`)
-  console.log(`Room data:`, JSON.stringify(room, null, 2))
+  challenges.forEach((entry) => {
+    if (!remoteChallenges.has(entry.roomId)) notifyLobbySubscribers({ action: "added", room: entry })
+    remoteChallenges.set(entry.roomId, { origin, entry })
+  })
+}
 
-  // Send a response with both PINs - then CLOSE this connection to save costs
-  const responseData = {
-    type: "room_created",
-    playerPin: playerPin,
-    viewerPin: viewerPin,
-    creatorName: playerName,
-    settings: room.settings,
-    // Add a full response for debugging
-    debugInfo: {
-      timestamp: Date.now(),
-      roomCount: gameRooms.size,
-      clientCount: clients.size,
-    },
+// Subscribe to the challenge board - the current list is sent first, then live additions and removals
+function handleLobbySubscribe(ws) {
+  lobbySubscribers.add(ws)
+  ws.send(JSON.stringify({ type: "lobby_snapshot", rooms: getOpenChallenges() }))
+}
+
+// Take the joiner seat of an open challenge directly
+function handleAcceptChallenge(ws, data) {
+  const room = gameRooms.get(data.roomId)
+
+  if (!room || !isOpenChallenge(room)) {
+    const error = { code: "challenge_unavailable", message: "Challenge is no longer available" }
+    sendMessageError(ws, error, data.requestId)
+    return
   }
 
-  console.log("Sending room_created response:", JSON.stringify(responseData))
+  lobbySubscribers.delete(ws)
+  handleJoinRoom(ws, {
+    pin: room.playerPin,
+    playerName: data.playerName,
+    playerId: data.playerId,
+    requestId: data.requestId,
+  })
+}
 
-  try {
-    ws.send(JSON.stringify(responseData))
-    console.log("Room created response sent successfully")
+// Issue the session token for a seat ("creator" or "joiner") in a room
+function issueSessionToken(room, seat) {
+  return sessionTokens.issue({ roomId: room.id, seat, nonce: room[seat].sessionNonce })
+}
 
-    // Close the connection immediately to save costs - player will reconnect when game is ready
-    setTimeout(() => {
-      console.log("Closing room creation connection to save costs")
-      ws.close(1000, "Room created successfully")
-    }, 1000)
-  } catch (error) {
-    console.error("Error sending room_created response:", error)
+// Get the seat a session token grants in a room, or null if the token is missing or invalid
+function getTokenSeat(room, token) {
+  const payload = sessionTokens.verify(token)
+  if (!payload || payload.roomId !== room.id) return null
+  if (payload.seat !== "creator" && payload.seat !== "joiner") return null
+  if (!room[payload.seat] || !room[payload.seat].sessionNonce || payload.nonce !== room[payload.seat].sessionNonce) {
+    return null
+  }
+  return payload.seat
+}
+
+// A seat is being reclaimed with a valid token - drop the stale connection still holding it, if any
+function replaceSeatConnection(seatInfo) {
+  if (!seatInfo.clientId) return
+  const staleWs = clients.get(seatInfo.clientId)
+  seatInfo.clientId = null
+  if (staleWs && staleWs.readyState === WebSocket.OPEN) {
+    getClientLog(staleWs).info("Closing stale connection replaced by a new session")
+    staleWs.room = null
+    staleWs.send(JSON.stringify({ type: "session_replaced", message: "Seat reclaimed from another connection" }))
+    staleWs.close(4000, "Session replaced")
   }
 }
 
 // Join an existing game room
 function handleJoinRoom(ws, data) {
-  const { pin, playerName } = data
+  const { pin, sessionToken } = data
+  const { playerName, playerId } = getPlayerIdentity(ws, data)
 
-  console.log(`Join room request: PIN=${pin}, Player=${playerName}, ClientID=${ws.id}`)
-  console.log(`Current PIN mappings:`, Array.from(pinToRoom.keys()))
+  getClientLog(ws).info("Join room request", { playerName })
+  getClientLog(ws).debug("Current PIN mappings", { pins: pinToRoom.size })
 
   // Check if the PIN exists
   if (!pinToRoom.has(pin)) {
-    console.log(`PIN ${pin} not found`)
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: "PIN not found",
-      }),
-    )
+    getClientLog(ws).info("PIN not found")
+    sendMessageError(ws, { code: "room_not_found", message: "PIN not found" }, data.requestId)
     return
   }
 
   const room = pinToRoom.get(pin)
-  console.log(`Found room for PIN ${pin}:`, JSON.stringify(room, null, 2))
+  const log = logger.child({ clientId: ws.id, roomId: room.id })
+  log.debug("Found room for PIN", { room: getRoomSummary(room) })
 
   // Determine if this is a player PIN or viewer PIN
   const isPlayerPin = pin === room.playerPin
   const isViewerPin = pin === room.viewerPin
 
-  console.log(`PIN type: ${isPlayerPin ? "player" : "viewer"} PIN`)
+  log.debug("PIN type", { pinType: isPlayerPin ? "player" : "viewer" })
 
   // Handle joining based on PIN type
   if (isViewerPin) {
@@ -295,7 +1437,7 @@ function handleJoinRoom(ws, data) {
 
     if (room.state === "lobby") {
       // Game not started yet - deny WebSocket connection and tell them to wait
-      console.log(`Viewer ${playerName} trying to join lobby room - sending wait response`)
+      log.info("Viewer trying to join lobby room - sending wait response", { playerName })
 
       const waitResponse = {
         type: "viewer_wait",
@@ -311,14 +1453,14 @@ function handleJoinRoom(ws, data) {
 
       // Close connection after sending response to save costs
       setTimeout(() => {
-        console.log("Closing viewer connection - game not ready")
+        log.debug("Closing viewer connection - game not ready")
         ws.close(1000, "Game not started yet")
       }, 1000)
 
       return
     } else if (room.state === "active") {
       // Game is active - allow viewer to connect
-      console.log(`Viewer PIN used, adding ${playerName} as viewer to active game`)
+      log.info("Viewer PIN used, adding viewer to active game", { playerName })
 
       const viewer = {
         clientId: ws.id,
@@ -330,7 +1472,7 @@ function handleJoinRoom(ws, data) {
       ws.isViewer = true
       ws.pinType = "viewer"
 
-      console.log(`Player ${playerName} joined active room as viewer via viewer PIN`)
+      log.debug("Viewer joined active room via viewer PIN", { playerName })
 
       // Notify the viewer they joined as a viewer
       const viewerResponse = {
@@ -343,14 +1485,17 @@ function handleJoinRoom(ws, data) {
         settings: room.settings,
         isViewer: true,
         viewerCount: room.viewers.length,
+        ratings: getRoomRatings(room),
+        seq: getSpectatorSeq(room), // Last room event so far - send it back in resume after a drop
         gameActive: true,
+        gameState: getGameSnapshot(room, getSpectatorPly(room)), // Moves, position and clocks so the client can catch up
       }
 
-      console.log("Sending viewer room_joined response:", JSON.stringify(viewerResponse))
+      log.debug("Sending viewer room_joined response", { response: viewerResponse })
       ws.send(JSON.stringify(viewerResponse))
 
-      // Request timer sync from creator for the new viewer
-      requestTimerSyncForViewer(room, ws)
+      // Send the server's clock state to the new viewer - unless held events would give it away
+      if (room.spectatorQueue.length === 0) sendTimerSync(room, ws)
 
       // Notify all players and viewers about updated viewer count
       broadcastViewerUpdate(room)
@@ -360,15 +1505,21 @@ function handleJoinRoom(ws, data) {
 
     if (room.state === "lobby") {
       // Room is in lobby state - this is the SECOND player joining!
-      console.log(`Second player ${playerName} joining lobby room - activating game!`)
+      log.info("Second player joining lobby room - activating game", { playerName })
+      const wasOpenChallenge = isOpenChallenge(room)
 
       // Set joiner info with client ID
       room.joiner.name = playerName
+      room.joiner.playerId = getRegisteredPlayerId(playerId)
       room.joiner.connected = true
       room.joiner.clientId = ws.id
+      room.joiner.sessionNonce = randomBytes(16).toString("hex")
       room.originalJoinerName = playerName
 
-      // Activate the room
+      // Activate the room - it is no longer an open challenge
+      if (wasOpenChallenge) {
+        broadcastLobbyUpdate({ action: "removed", roomId: room.id })
+      }
       room.state = "active"
       room.lastActivity = Date.now()
 
@@ -388,21 +1539,34 @@ function handleJoinRoom(ws, data) {
         settings: room.settings, // Include all game settings from creator
         isViewer: false,
         viewerCount: room.viewers.length,
+        ratings: getRoomRatings(room),
+        seq: room.seq, // Last room event so far - send it back in resume after a drop
         gameReady: true, // Game is ready for creator to join
         gameActive: false, // Game is not yet started
+        sessionToken: issueSessionToken(room, "joiner"), // Needed to reclaim the joiner seat
       }
 
       ws.send(JSON.stringify(joinResponse))
-      console.log("Joiner connected - waiting for creator to start the game.")
+
+      // A creator still connected from a rematch recreate can start right away
+      if (room.creator.clientId) {
+        log.info("Joiner connected to recreated room - broadcasting game start")
+        broadcastGameStart(room)
+        return
+      }
+
+      log.info("Joiner connected - waiting for creator to start the game")
 
       // DO NOT broadcast game start here. Wait for creator to connect.
     } else if (room.state === "active") {
-      // Room is already active - check if this is a player reconnecting
+      // Room is already active - a valid session token reclaims a seat, anyone else becomes a viewer
+      const seat = getTokenSeat(room, sessionToken)
 
-      if (playerName === room.creator.name && !room.creator.clientId) {
+      if (seat === "creator") {
         // This is the creator connecting (for the first time to the active game, or reconnecting)
-        console.log(`Creator ${playerName} reconnecting to active room`)
+        log.info("Creator reconnecting to active room", { playerName: room.creator.name })
 
+        replaceSeatConnection(room.creator)
         room.creator.clientId = ws.id
         room.creator.connected = true
         ws.room = room.id
@@ -419,24 +1583,30 @@ function handleJoinRoom(ws, data) {
           settings: room.settings,
           isViewer: false,
           viewerCount: room.viewers.length,
+          ratings: getRoomRatings(room),
+          seq: room.seq, // Last room event so far - send it back in resume after a drop
           gameActive: true,
+          gameState: getGameSnapshot(room), // Moves, position and clocks so the client can catch up
           gameReady: true,
+          sessionToken,
         }
 
         ws.send(JSON.stringify(creatorResponse))
-        console.log("Creator reconnected successfully")
+        log.debug("Creator reconnected successfully")
+        endGracePeriod(room, "creator")
 
         // Only broadcast game start if both players are now connected
         if (room.creator.clientId && room.joiner.clientId) {
-          console.log("Both players are now connected - broadcasting game start.")
+          log.info("Both players are now connected - broadcasting game start")
           broadcastGameStart(room)
         } else {
-          console.log("Creator connected, but joiner is missing. Waiting for joiner to reconnect.")
+          log.info("Creator connected, waiting for joiner to reconnect")
         }
-      } else if (playerName === room.joiner.name && !room.joiner.clientId) {
+      } else if (seat === "joiner") {
         // This is the joiner reconnecting
-        console.log(`Joiner ${playerName} reconnecting to active room`)
+        log.info("Joiner reconnecting to active room", { playerName: room.joiner.name })
 
+        replaceSeatConnection(room.joiner)
         room.joiner.clientId = ws.id
         room.joiner.connected = true
         ws.room = room.id
@@ -453,28 +1623,31 @@ function handleJoinRoom(ws, data) {
           settings: room.settings,
           isViewer: false,
           viewerCount: room.viewers.length,
+          ratings: getRoomRatings(room),
+          seq: room.seq, // Last room event so far - send it back in resume after a drop
           gameActive: true,
+          gameState: getGameSnapshot(room), // Moves, position and clocks so the client can catch up
           gameReady: true,
+          sessionToken,
         }
 
         ws.send(JSON.stringify(joinerResponse))
-        console.log("Joiner reconnected successfully")
+        log.debug("Joiner reconnected successfully")
+        endGracePeriod(room, "joiner")
 
         // If creator is already here, we can start the game (or resync)
         if (room.creator.clientId && room.joiner.clientId) {
-          console.log("Both players connected after joiner reconnect - broadcasting game start")
+          log.info("Both players connected after joiner reconnect - broadcasting game start")
           broadcastGameStart(room)
 
-          // Request timer sync from creator for the reconnecting joiner
-          if (room.creator.clientId) {
-            requestTimerSyncFromPlayer(room, room.creator.clientId, "joiner reconnected")
-          }
+          // Resync both players with the server's clocks after the reconnect
+          broadcastTimerSync(room)
         } else {
-          console.log("Joiner reconnected, but creator is missing. Waiting for creator to reconnect.")
+          log.info("Joiner reconnected, waiting for creator to reconnect")
         }
       } else {
         // Room is already active - add as viewer
-        console.log(`Room is active, adding ${playerName} as viewer`)
+        log.info("Room is active, adding player as viewer", { playerName })
 
         const viewer = {
           clientId: ws.id,
@@ -496,137 +1669,775 @@ function handleJoinRoom(ws, data) {
           settings: room.settings,
           isViewer: true,
           viewerCount: room.viewers.length,
+          ratings: getRoomRatings(room),
+          seq: getSpectatorSeq(room), // Last room event so far - send it back in resume after a drop
           message: "Game already active - joined as viewer",
+          gameState: getGameSnapshot(room, getSpectatorPly(room)), // Moves, position and clocks so the client can catch up
         }
 
         ws.send(JSON.stringify(viewerResponse))
 
-        // Request timer sync from creator for the new viewer
-        requestTimerSyncForViewer(room, ws)
+        // Send the server's clock state to the new viewer - unless held events would give it away
+        if (room.spectatorQueue.length === 0) sendTimerSync(room, ws)
 
         broadcastViewerUpdate(room)
       }
     }
   }
+
+  // Catch the new participant up on the chat they can see
+  if (ws.room === room.id) {
+    sendChatHistory(room, ws)
+  }
+}
+
+// Empty chat channels for a room - players and spectators never see each other's channel
+function createChatState() {
+  return {
+    players: [], // Recent player-to-player messages
+    spectators: [], // Recent spectator messages
+    muted: [], // Client or user IDs whose messages are dropped
+  }
+}
+
+// Seat of a client in a room: "creator", "joiner", "viewer" or null
+function getSeat(room, ws) {
+  if (room.creator.clientId === ws.id) return "creator"
+  if (room.joiner && room.joiner.clientId === ws.id) return "joiner"
+  if (room.viewers.some((viewer) => viewer.clientId === ws.id)) return "viewer"
+  return null
+}
+
+// Moderation hook for chat - returns the text to deliver, or a rejection
+function moderateChat(room, ws, text) {
+  if (room.chat.muted.includes(ws.id) || (ws.userId && room.chat.muted.includes(ws.userId))) {
+    return { code: "muted", message: "You are muted in this room" }
+  }
+  return { text: chatFilter.clean(text) }
+}
+
+// Sliding-window chat rate limit per connection - returns true if the message may be sent
+function allowChatMessage(ws, now) {
+  ws.chatTimestamps = (ws.chatTimestamps || []).filter((timestamp) => now - timestamp < CHAT_RATE_WINDOW_MS)
+  if (ws.chatTimestamps.length >= CHAT_RATE_LIMIT) return false
+  ws.chatTimestamps.push(now)
+  return true
+}
+
+// Send a chat message to the players or the spectators of a room
+function handleChat(ws, data) {
+  const room = ws.room ? gameRooms.get(ws.room) : null
+  const seat = room ? getSeat(room, ws) : null
+  const rejectChat = (code, message) => sendMessageError(ws, { code, message }, data.requestId)
+
+  if (!room || !seat) {
+    return rejectChat("not_in_room", "Not in a valid room")
+  }
+
+  // Players talk on the players channel, viewers on the spectators channel
+  const channel = seat === "viewer" ? "spectators" : "players"
+  if (data.channel && data.channel !== channel) {
+    return rejectChat("channel_forbidden", `You cannot post to the ${data.channel} channel`)
+  }
+
+  const text = typeof data.text === "string" ? data.text.trim() : ""
+  if (!text) {
+    return rejectChat("empty_message", "Message is empty")
+  }
+  if (text.length > CHAT_MAX_LENGTH) {
+    return rejectChat("message_too_long", `Messages are limited to ${CHAT_MAX_LENGTH} characters`)
+  }
+
+  const now = Date.now()
+  if (!allowChatMessage(ws, now)) {
+    return rejectChat("chat_rate_limited", "You are sending messages too quickly")
+  }
+
+  const moderation = moderateChat(room, ws, text)
+  if (!moderation.text) {
+    return rejectChat(moderation.code, moderation.message)
+  }
+
+  const sender = seat === "viewer" ? room.viewers.find((viewer) => viewer.clientId === ws.id) : room[seat]
+  const chatMessage = {
+    type: "chat",
+    id: randomUUID(),
+    channel,
+    from: { name: sender.name, seat },
+    text: moderation.text,
+    timestamp: now,
+  }
+
+  const history = room.chat[channel]
+  history.push(chatMessage)
+  if (history.length > CHAT_HISTORY_SIZE) {
+    history.shift()
+  }
+
+  emitRoomEvent(room, channel === "players" ? ["creator", "joiner"] : ["viewers"], chatMessage)
+}
+
+// Send the recent messages of the channel a participant can see
+function sendChatHistory(room, ws) {
+  if (!room.chat) return
+  const channel = ws.isViewer ? "spectators" : "players"
+  ws.send(JSON.stringify({ type: "chat_history", channel, messages: room.chat[channel] }))
 }
 
 // Broadcast viewer count update to all participants in a room
 function broadcastViewerUpdate(room) {
-  const viewerUpdateMsg = {
+  sendToRoom(room, {
     type: "viewer_update",
     viewerCount: room.viewers.length,
+  })
+
+  getRoomLog(room).debug("Broadcast viewer update", { viewers: room.viewers.length })
+}
+
+// Broadcast game start to synchronize both players
+function broadcastGameStart(room) {
+  room.gameState.gameStartSent = true
+
+  const gameStartMsg = {
+    type: "game_start",
+    creatorName: room.creator.name,
+    joinerName: room.joiner.name,
+    settings: room.settings,
+    playerPin: room.playerPin,
+    viewerPin: room.viewerPin,
+    viewerCount: room.viewers.length,
+    timestamp: Date.now(), // Add synchronized timestamp
+    gameState: room.gameState, // Include current game state for sync
+    match: room.match, // Running score of the match
+    ratings: getRoomRatings(room), // Ratings of both players for the time control, if registered
+  }
+
+  getRoomLog(room).debug("Game start message", { message: gameStartMsg })
+
+  if (!room.creator.clientId) {
+    getRoomLog(room).warn("Broadcasting game start without a creator connection")
+  }
+  if (!room.joiner || !room.joiner.clientId) {
+    getRoomLog(room).warn("Broadcasting game start without a joiner connection")
   }
 
-  // Send to creator if connected
-  if (room.creator.clientId) {
-    const creatorWs = clients.get(room.creator.clientId)
-    if (creatorWs && creatorWs.readyState === WebSocket.OPEN) {
-      creatorWs.send(JSON.stringify(viewerUpdateMsg))
+  // Send to both players and all viewers
+  sendToRoom(room, gameStartMsg)
+
+  getRoomLog(room).info("Broadcast game start", { viewers: room.viewers.length })
+}
+
+// Send a message to both players and all viewers in a room
+function sendToRoom(room, payload) {
+  emitRoomEvent(room, ROOM_AUDIENCE_ALL, payload)
+}
+
+// Client IDs currently holding the given audiences ("creator", "joiner", "viewers")
+function getAudienceClientIds(room, audience) {
+  const clientIds = []
+  if (audience.includes("creator") && room.creator?.clientId) clientIds.push(room.creator.clientId)
+  if (audience.includes("joiner") && room.joiner?.clientId) clientIds.push(room.joiner.clientId)
+  if (audience.includes("viewers")) room.viewers.forEach((viewer) => clientIds.push(viewer.clientId))
+  return clientIds
+}
+
+// Stamp a room event with the room's next sequence number, keep it for resume and deliver it.
+// The event is serialized right away - payloads such as game_start reference live room state,
+// and a held or logged copy must not pick up later changes.
+function emitRoomEvent(room, audience, payload) {
+  room.seq = (room.seq || 0) + 1
+  const data = JSON.stringify({ ...payload, seq: room.seq })
+
+  room.eventLog = room.eventLog || []
+  room.eventLog.push({ seq: room.seq, audience, data })
+  if (room.eventLog.length > ROOM_EVENT_LOG_SIZE) {
+    room.eventLog.shift()
+  }
+
+  const playerAudience = audience.filter((key) => key !== "viewers")
+  deliverToAudience(room, playerAudience, data)
+
+  // Events the players see too are part of the game and go through the spectator delay.
+  // Viewer-only events such as spectator chat wait behind held events so viewers get every seq in order.
+  if (audience.includes("viewers")) {
+    const isGameEvent = playerAudience.length > 0
+    if (room.spectatorQueue.length > 0 || (isGameEvent && isSpectatorDelayActive(room))) {
+      const ply = isGameEvent ? room.gameState.moves.length : null
+      room.spectatorQueue.push({ seq: room.seq, data, ply, queuedAt: Date.now() })
+      releaseSpectatorEvents(room)
+    } else {
+      if (isGameEvent) room.spectatorPly = room.gameState.moves.length
+      deliverToAudience(room, ["viewers"], data)
+    }
+  }
+}
+
+// Send serialized data to every connected client in the given audiences
+function deliverToAudience(room, audience, data) {
+  getAudienceClientIds(room, audience).forEach((clientId) => {
+    const recipientWs = clients.get(clientId)
+    if (recipientWs && recipientWs.readyState === WebSocket.OPEN) {
+      recipientWs.send(data)
     }
+  })
+}
+
+// Viewers only lag behind while a game is in progress - once it ends they catch up at once
+function isSpectatorDelayActive(room) {
+  return Boolean(room.settings.spectatorDelay) && room.gameState.status === "playing"
+}
+
+// Deliver held viewer events whose delay has passed and schedule the next one
+function releaseSpectatorEvents(room) {
+  clearTimeout(spectatorTimers.get(room.id))
+  spectatorTimers.delete(room.id)
+
+  const delay = room.settings.spectatorDelay
+  const now = Date.now()
+  const ply = room.gameState.moves.length
+  // Viewer-only events (no ply) are not delayed themselves, they only wait for the events before them
+  const isDue = (held) =>
+    held.ply === null ||
+    !isSpectatorDelayActive(room) ||
+    (delay.moves ? ply - held.ply >= delay.moves : now - held.queuedAt >= delay.seconds * 1000)
+
+  while (room.spectatorQueue.length > 0 && isDue(room.spectatorQueue[0])) {
+    const held = room.spectatorQueue.shift()
+    if (held.ply !== null) room.spectatorPly = held.ply
+    deliverToAudience(room, ["viewers"], held.data)
+  }
+
+  // Move delays are released by the next moves, time delays by a timer
+  if (room.spectatorQueue.length > 0 && delay.seconds) {
+    const wait = room.spectatorQueue[0].queuedAt + delay.seconds * 1000 - now
+    spectatorTimers.set(room.id, setTimeout(() => releaseSpectatorEvents(room), wait))
+  }
+}
+
+// Number of moves viewers have been shown so far
+function getSpectatorPly(room) {
+  return room.spectatorQueue.length > 0 ? room.spectatorPly : room.gameState.moves.length
+}
+
+// Last room event viewers have been sent - held events come after it
+function getSpectatorSeq(room) {
+  return room.spectatorQueue.length > 0 ? room.spectatorQueue[0].seq - 1 : room.seq
+}
+
+// Replay the room events a reconnecting client missed after its last seen sequence number
+function handleResume(ws, data) {
+  const room = ws.room ? gameRooms.get(ws.room) : null
+  const seat = room ? getSeat(room, ws) : null
+  if (!room || !seat) {
+    sendMessageError(ws, { code: "not_in_room", message: "Join the room before resuming" }, data.requestId)
+    return
+  }
+
+  const lastSeq = Number.isInteger(data.lastSeq) && data.lastSeq >= 0 ? data.lastSeq : 0
+  const audienceKey = seat === "viewer" ? "viewers" : seat
+  const eventLog = room.eventLog || []
+
+  // Events older than the log are gone - the client has to rebuild from room_joined instead
+  const oldestSeq = eventLog.length > 0 ? eventLog[0].seq : (room.seq || 0) + 1
+  const complete = lastSeq >= oldestSeq - 1
+
+  // Viewers do not get events still held back by the spectator delay
+  const heldSeqs = new Set(seat === "viewer" ? room.spectatorQueue.map((held) => held.seq) : [])
+  const missed = eventLog.filter(
+    (entry) => entry.seq > lastSeq && entry.audience.includes(audienceKey) && !heldSeqs.has(entry.seq),
+  )
+  missed.forEach((entry) => ws.send(entry.data))
+
+  getClientLog(ws).info("Resumed room events", { fromSeq: lastSeq, replayed: missed.length, complete })
+
+  ws.send(
+    JSON.stringify({
+      type: "resume_complete",
+      fromSeq: lastSeq,
+      seq: seat === "viewer" ? getSpectatorSeq(room) : room.seq,
+      replayed: missed.length,
+      complete,
+    }),
+  )
+}
+
+// Current clock readings, with the running side's elapsed time already deducted
+function getClockSnapshot(room, now = Date.now()) {
+  const { clocks, turn, status } = room.gameState
+  if (!clocks) return null
+
+  const running = status === "playing" && clocks.lastMoveAt !== null
+  const elapsed = running ? now - clocks.lastMoveAt : 0
+  return {
+    whiteTime: Math.max(0, clocks.w - (turn === "w" ? elapsed : 0)),
+    blackTime: Math.max(0, clocks.b - (turn === "b" ? elapsed : 0)),
+    increment: clocks.incrementMs,
+    turn,
+    running,
+  }
+}
+
+// Build a server-generated timer_sync game message
+function createTimerSyncMessage(room) {
+  return {
+    type: "game_message",
+    message: {
+      type: "timer_sync",
+      source: "server",
+      timestamp: Date.now(),
+      ...getClockSnapshot(room),
+    },
+  }
+}
+
+// Send the server's clock state to a single client (new viewer or reconnecting player)
+function sendTimerSync(room, targetWs) {
+  if (!room.gameState.clocks) return
+  if (targetWs && targetWs.readyState === WebSocket.OPEN) {
+    targetWs.send(JSON.stringify(createTimerSyncMessage(room)))
   }
+}
+
+// Send the server's clock state to everyone in the room
+function broadcastTimerSync(room) {
+  if (!room.gameState.clocks) return
+  sendToRoom(room, createTimerSyncMessage(room))
+}
 
-  // Send to joiner if exists and connected
-  if (room.joiner && room.joiner.clientId) {
-    const joinerWs = clients.get(room.joiner.clientId)
-    if (joinerWs && joinerWs.readyState === WebSocket.OPEN) {
-      joinerWs.send(JSON.stringify(viewerUpdateMsg))
+// Charge the mover for the time spent on a move - returns false if their flag fell first
+function chargeClock(room, color, now) {
+  const { clocks } = room.gameState
+  if (!clocks) return true
+
+  if (clocks.lastMoveAt !== null) {
+    clocks[color] -= now - clocks.lastMoveAt
+    if (clocks[color] <= 0) {
+      clocks[color] = 0
+      return false
     }
+    clocks[color] += clocks.incrementMs
   }
+  clocks.lastMoveAt = now
+  return true
+}
 
-  // Send to all viewers
-  room.viewers.forEach((viewer) => {
-    const viewerWs = clients.get(viewer.clientId)
-    if (viewerWs && viewerWs.readyState === WebSocket.OPEN) {
-      viewerWs.send(JSON.stringify(viewerUpdateMsg))
+// Arm the flag timer for the side to move
+function scheduleFlagCheck(room) {
+  stopClock(room)
+  const snapshot = getClockSnapshot(room)
+  if (!snapshot || !snapshot.running) return
+
+  const remaining = snapshot.turn === "w" ? snapshot.whiteTime : snapshot.blackTime
+  const timer = setTimeout(() => {
+    clockTimers.delete(room.id)
+    if (gameRooms.get(room.id) !== room || room.gameState.status !== "playing") return
+    handleFlagFall(room, room.gameState.turn)
+  }, remaining + 50)
+  clockTimers.set(room.id, timer)
+}
+
+// Stop the flag timer for a room
+function stopClock(room) {
+  const timer = clockTimers.get(room.id)
+  if (timer) {
+    clearTimeout(timer)
+    clockTimers.delete(room.id)
+  }
+}
+
+// The given side ran out of time - their opponent wins
+function handleFlagFall(room, color) {
+  room.gameState.clocks[color] = 0
+  getRoomLog(room).info("Flag fell", { color })
+  endGame(room, color === "w" ? "0-1" : "1-0", "timeout")
+}
+
+// End the current game and record it in the match - players and viewers get a game_end
+// unless the result came from a client message that is already being relayed
+function endGame(room, result, reason, { notify = true } = {}) {
+  const { gameState } = room
+  const now = Date.now()
+
+  // Freeze the clock of the side to move at its current reading
+  if (gameState.clocks && gameState.clocks.lastMoveAt !== null) {
+    const snapshot = getClockSnapshot(room, now)
+    gameState.clocks.w = snapshot.whiteTime
+    gameState.clocks.b = snapshot.blackTime
+    gameState.clocks.lastMoveAt = null
+  }
+  stopClock(room)
+
+  gameState.status = "ended"
+  gameState.result = result
+  gameState.reason = reason
+  room.lastActivity = now
+
+  getRoomLog(room).info("Game ended", { result, reason })
+
+  gameState.gameId = archiveGame(room, now)
+
+  if (notify) {
+    sendToRoom(room, {
+      type: "game_message",
+      message: {
+        type: "game_end",
+        source: "server",
+        result,
+        reason,
+        winner: result === "1-0" ? "w" : result === "0-1" ? "b" : null,
+        gameId: gameState.gameId,
+        fen: gameState.fen,
+        clocks: getClockSnapshot(room, now),
+        timestamp: now,
+      },
+    })
+  }
+
+  updateRatings(room, result, reason)
+  recordMatchResult(room, result, reason)
+  scheduleSnapshot()
+}
+
+// Name and profile ID for a player - signed-in users always play under their account.
+// Account IDs are public profile IDs, so one sent by a guest is ignored instead of trusted.
+function getPlayerIdentity(ws, data) {
+  let playerId = ws.userId || data.playerId
+  if (!ws.userId && accountStore.get(data.playerId)) {
+    getClientLog(ws).warn("Guest sent an account's player ID - playing as a guest")
+    playerId = null
+  }
+
+  return {
+    playerName: data.playerName || ws.username,
+    playerId,
+  }
+}
+
+// Only IDs of registered profiles are kept on a seat - anything else plays as a guest
+function getRegisteredPlayerId(playerId) {
+  return playerStore.get(playerId) ? playerId : null
+}
+
+// Rating category for a time control, from its estimated game length (base + 40 moves of increment)
+function getRatingCategory(timeControl) {
+  const parsed = parseTimeControl(timeControl)
+  if (!parsed) return null
+
+  const estimatedSeconds = (parsed.baseMs + 40 * parsed.incrementMs) / 1000
+  if (estimatedSeconds < 180) return "bullet"
+  if (estimatedSeconds < 480) return "blitz"
+  if (estimatedSeconds < 1500) return "rapid"
+  return "classical"
+}
+
+// Public view of a player's rating in a category, or null for guests
+function getRatingSummary(playerId, category) {
+  const player = playerStore.get(playerId)
+  if (!player || !category) return null
+
+  const { rating, rd, games } = player.ratings[category] || createRating()
+  return { rating: Math.round(rating), rd: Math.round(rd), games, provisional: rd > 110 }
+}
+
+// Ratings of both seats for the room's time control
+function getRoomRatings(room) {
+  const category = getRatingCategory(room.settings.timeControl)
+  return {
+    category,
+    creator: getRatingSummary(room.creator.playerId, category),
+    joiner: getRatingSummary(room.joiner?.playerId, category),
+  }
+}
+
+// Update both players' Glicko-2 ratings after a rated game - needs two distinct registered players
+function updateRatings(room, result, reason) {
+  if (!RATED_REASONS.includes(reason)) return
+
+  const category = getRatingCategory(room.settings.timeControl)
+  const creator = playerStore.get(room.creator.playerId)
+  const joiner = playerStore.get(room.joiner?.playerId)
+  if (!category || !creator || !joiner || creator.id === joiner.id) return
+
+  const creatorRating = creator.ratings[category] || createRating()
+  const joinerRating = joiner.ratings[category] || createRating()
+
+  let creatorScore = 0.5
+  if (result !== "1/2-1/2") {
+    const winnerColor = result === "1-0" ? "w" : "b"
+    creatorScore = winnerColor === room.gameState.creatorColor ? 1 : 0
+  }
+
+  creator.ratings[category] = updateRating(creatorRating, [{ ...joinerRating, score: creatorScore }])
+  joiner.ratings[category] = updateRating(joinerRating, [{ ...creatorRating, score: 1 - creatorScore }])
+  playerStore.update(creator)
+  playerStore.update(joiner)
+
+  const change = (player, before) => ({
+    name: player.name,
+    from: Math.round(before.rating),
+    to: Math.round(player.ratings[category].rating),
+  })
+  getRoomLog(room).info("Ratings updated", {
+    category,
+    creator: change(creator, creatorRating),
+    joiner: change(joiner, joinerRating),
+  })
+}
+
+// Store a finished game as PGN - returns the new game's ID
+function archiveGame(room, endedAt) {
+  const { gameState } = room
+  const gameId = randomUUID()
+  const creatorIsWhite = gameState.creatorColor === "w"
+  const parsedTimeControl = parseTimeControl(room.settings.timeControl)
+  const startedAt = new Date(gameState.startedAt || endedAt)
+
+  const headers = {
+    Event: room.match && room.match.totalGames > 1 ? "Chessaki match" : "Chessaki game",
+    Site: "Chessaki",
+    Date: formatPgnDate(startedAt),
+    Round: room.match ? room.match.gamesPlayed + 1 : 1,
+    White: (creatorIsWhite ? room.originalCreatorName : room.originalJoinerName) || "?",
+    Black: (creatorIsWhite ? room.originalJoinerName : room.originalCreatorName) || "?",
+    Result: gameState.result,
+    UTCDate: formatPgnDate(new Date(endedAt)),
+    UTCTime: formatPgnTime(new Date(endedAt)),
+    TimeControl: parsedTimeControl ? `${parsedTimeControl.baseMs / 1000}+${parsedTimeControl.incrementMs / 1000}` : "-",
+    Termination: { timeout: "time forfeit", abandonment: "abandoned" }[gameState.reason] || "normal",
+    PlyCount: gameState.moves.length,
+  }
+
+  gameArchive
+    .save(gameId, gameState.moves, headers)
+    .then(() => getRoomLog(room).info("Game archived", { gameId }))
+    .catch((error) => getRoomLog(room).error("Error archiving game", { gameId, error }))
+
+  return gameId
+}
+
+// Work out the result of a game ended by a player's resign or draw-accept message.
+// Every other result is decided on the server, so a client game_end is never scored.
+function getReportedOutcome(room, clientId, message) {
+  const color = getPlayerColor(room, clientId)
+  if (!color) return null
+
+  if (message.type === "resign") {
+    return { result: color === "w" ? "0-1" : "1-0", reason: "resignation" }
+  }
+  if (message.type === "draw-accept" && isDrawOfferedTo(room, color)) {
+    return { result: "1/2-1/2", reason: "agreement" }
+  }
+  return null
+}
+
+// Whether the opponent of the given color has a draw offer standing in the current game
+function isDrawOfferedTo(room, color) {
+  const { drawOfferBy } = room.gameState
+  return Boolean(drawOfferBy) && drawOfferBy !== color
+}
+
+// Fresh match for a room - totalGames falls back to a single game
+function createMatch(totalGames) {
+  const parsed = parseInt(totalGames, 10)
+  return {
+    totalGames: Number.isFinite(parsed) && parsed > 0 ? parsed : 1,
+    gamesPlayed: 0,
+    score: { creator: 0, joiner: 0 },
+    games: [], // { game, result, reason, creatorColor, winner }
+    status: "in_progress", // in_progress, finished
+    winner: null, // creator, joiner or draw once finished
+  }
+}
+
+// Creator plays white in odd games and black in even games
+function getCreatorColor(room) {
+  if (!room.match) return "w"
+  return room.match.gamesPlayed % 2 === 0 ? "w" : "b"
+}
+
+// Record a finished game in the room's match and broadcast the running score
+function recordMatchResult(room, result, reason) {
+  if (!room.match) return
+
+  // A game played after the match finished starts a new match
+  if (room.match.status === "finished") {
+    room.match = createMatch(room.settings.totalGames)
+  }
+
+  const match = room.match
+  const { creatorColor } = room.gameState
+  let winner = null
+  if (result === "1/2-1/2") {
+    match.score.creator += 0.5
+    match.score.joiner += 0.5
+  } else {
+    const winnerColor = result === "1-0" ? "w" : "b"
+    winner = winnerColor === creatorColor ? "creator" : "joiner"
+    match.score[winner] += 1
+  }
+
+  match.gamesPlayed += 1
+  match.games.push({ game: match.gamesPlayed, result, reason, creatorColor, winner, gameId: room.gameState.gameId })
+
+  if (match.gamesPlayed >= match.totalGames) {
+    match.status = "finished"
+    if (match.score.creator === match.score.joiner) {
+      match.winner = "draw"
+    } else {
+      match.winner = match.score.creator > match.score.joiner ? "creator" : "joiner"
     }
+    getRoomLog(room).info("Match finished", { score: match.score, winner: match.winner })
+  }
+
+  sendToRoom(room, {
+    type: "match_update",
+    match,
+    creatorName: room.creator.name,
+    joinerName: room.joiner?.name || null,
+    ratings: getRoomRatings(room),
   })
+}
+
+// Get the board model for a room, rebuilding it from the tracked moves if needed
+function getRoomBoard(room) {
+  let board = roomBoards.get(room.id)
+  if (!board) {
+    board = new Chess()
+    room.gameState.moves.forEach((uci) => board.move(parseUci(uci)))
+    roomBoards.set(room.id, board)
+  }
+  return board
+}
+
+// Everything a viewer or reconnecting player needs to rebuild the current game, built from the server's board
+// Pass a lower ply to get the position viewers have been shown under a spectator delay
+function getGameSnapshot(room, ply = room.gameState.moves.length) {
+  const { gameState } = room
+  const moves = gameState.moves.slice(0, ply)
+  const delayed = moves.length < gameState.moves.length
+
+  let board = getRoomBoard(room)
+  if (delayed) {
+    board = new Chess()
+    moves.forEach((uci) => board.move(parseUci(uci)))
+  }
+  const history = board.history({ verbose: true })
+  const last = history[history.length - 1]
+
+  return {
+    moves, // UCI
+    san: history.map((move) => move.san),
+    fen: delayed ? board.fen() : gameState.fen,
+    turn: delayed ? board.turn() : gameState.turn,
+    status: gameState.status,
+    result: gameState.result || null,
+    reason: gameState.reason || null,
+    creatorColor: gameState.creatorColor,
+    clocks: delayed ? null : getClockSnapshot(room), // Live clocks would give away the delayed moves
+    lastMove: last ? { uci: moves[moves.length - 1], san: last.san, from: last.from, to: last.to } : null,
+  }
+}
+
+// Split a UCI string like "e7e8q" into a chess.js move object
+function parseUci(uci) {
+  return {
+    from: uci.slice(0, 2),
+    to: uci.slice(2, 4),
+    promotion: uci.length > 4 ? uci[4] : undefined,
+  }
+}
 
-  console.log(`Broadcast viewer update: ${room.viewers.length} viewers`)
+// Get the color ("w" or "b") a client plays in a room, or null if not a player
+function getPlayerColor(room, clientId) {
+  const joinerColor = room.gameState.creatorColor === "w" ? "b" : "w"
+  if (clientId && clientId === room.creator.clientId) return room.gameState.creatorColor
+  if (clientId && room.joiner && clientId === room.joiner.clientId) return joinerColor
+  return null
 }
 
-// Broadcast game start to synchronize both players
-function broadcastGameStart(room) {
-  console.log("Broadcasting game start to both players...")
+// Validate a move against the room's board and apply it - returns a rejection or null
+function applyMove(room, clientId, uci) {
+  if (typeof uci !== "string" || !/^[a-h][1-8][a-h][1-8][qrbn]?$/.test(uci)) {
+    return { code: "invalid_move_format", message: "Move must be in UCI format" }
+  }
+
+  const color = getPlayerColor(room, clientId)
+  if (!color) {
+    return { code: "not_a_player", message: "Only players can make moves" }
+  }
+
+  // A recreated lobby keeps its creator seated - no moves until an opponent has joined
+  if (room.state !== "active" || !room.joiner.name) {
+    return { code: "waiting_for_opponent", message: "Waiting for an opponent to join" }
+  }
 
-  const gameStartMsg = {
-    type: "game_start",
-    creatorName: room.creator.name,
-    joinerName: room.joiner.name,
-    settings: room.settings,
-    playerPin: room.playerPin,
-    viewerPin: room.viewerPin,
-    viewerCount: room.viewers.length,
-    timestamp: Date.now(), // Add synchronized timestamp
-    gameState: room.gameState, // Include current game state for sync
+  if (room.gameState.status === "ended") {
+    return { code: "game_over", message: "Game is already over" }
   }
 
-  console.log("Game start message:", JSON.stringify(gameStartMsg))
+  const board = getRoomBoard(room)
+  if (board.turn() !== color) {
+    return { code: "not_your_turn", message: "It is not your turn" }
+  }
 
-  // Send to creator if connected
-  if (room.creator.clientId) {
-    const creatorWs = clients.get(room.creator.clientId)
-    if (creatorWs && creatorWs.readyState === WebSocket.OPEN) {
-      console.log("Sending game start to creator")
-      creatorWs.send(JSON.stringify(gameStartMsg))
-    } else {
-      console.log("Creator WebSocket not available")
-    }
-  } else {
-    console.log("Creator clientId not set")
+  let move
+  try {
+    move = board.move(parseUci(uci))
+  } catch (error) {
+    return { code: "illegal_move", message: "Illegal move" }
   }
 
-  // Send to joiner if exists and connected
-  if (room.joiner && room.joiner.clientId) {
-    const joinerWs = clients.get(room.joiner.clientId)
-    if (joinerWs && joinerWs.readyState === WebSocket.OPEN) {
-      console.log("Sending game start to joiner")
-      joinerWs.send(JSON.stringify(gameStartMsg))
-    } else {
-      console.log("Joiner WebSocket not available")
-    }
-  } else {
-    console.log("Joiner clientId not set")
+  // Timestamp the move on arrival - a move that arrives after the flag fell loses on time
+  if (!chargeClock(room, color, Date.now())) {
+    board.undo()
+    handleFlagFall(room, color)
+    return { code: "flag_fallen", message: "Your time ran out" }
   }
 
-  // Send to all viewers
-  room.viewers.forEach((viewer) => {
-    const viewerWs = clients.get(viewer.clientId)
-    if (viewerWs && viewerWs.readyState === WebSocket.OPEN) {
-      viewerWs.send(JSON.stringify(gameStartMsg))
-    }
-  })
+  // Moving instead of accepting declines the opponent's draw offer
+  if (isDrawOfferedTo(room, color)) {
+    room.gameState.drawOfferBy = null
+  }
 
-  console.log(`Broadcast game start complete`)
+  // Keep the stored FEN authoritative so late joiners get the true position. The move is stored as
+  // chess.js read it - a stray promotion suffix on a non-promoting move is dropped
+  room.gameState.moves.push(move.lan)
+  room.gameState.fen = board.fen()
+  room.gameState.turn = board.turn()
+  if (room.gameState.status !== "playing") {
+    room.gameState.status = "playing"
+    room.gameState.startedAt = Date.now()
+  }
+  return null
 }
 
-// Request timer sync from creator for new viewers
-function requestTimerSyncForViewer(room, viewerWs) {
-  if (room.creator.clientId) {
-    const creatorWs = clients.get(room.creator.clientId)
-    if (creatorWs && creatorWs.readyState === WebSocket.OPEN) {
-      console.log("Requesting timer sync from creator for new viewer")
-      creatorWs.send(
-        JSON.stringify({
-          type: "game_message",
-          message: { type: "sync_request" },
-        }),
-      )
-    }
+// Check the board for a finished game - returns { result, reason } or null
+function detectGameOver(board) {
+  if (board.isCheckmate()) {
+    // The side to move has been mated
+    return { result: board.turn() === "w" ? "0-1" : "1-0", reason: "checkmate" }
+  }
+  if (board.isStalemate()) {
+    return { result: "1/2-1/2", reason: "stalemate" }
   }
+  if (board.isInsufficientMaterial()) {
+    return { result: "1/2-1/2", reason: "insufficient_material" }
+  }
+  if (board.isThreefoldRepetition()) {
+    return { result: "1/2-1/2", reason: "threefold_repetition" }
+  }
+  if (board.isDrawByFiftyMoves()) {
+    return { result: "1/2-1/2", reason: "fifty_move_rule" }
+  }
+  return null
 }
 
-// Request timer sync from connected player for reconnecting player
-function requestTimerSyncFromPlayer(room, fromClientId, reason) {
-  const fromWs = clients.get(fromClientId)
-  if (fromWs && fromWs.readyState === WebSocket.OPEN) {
-    console.log(`Requesting timer sync from connected player: ${reason}`)
-    fromWs.send(
-      JSON.stringify({
-        type: "game_message",
-        message: { type: "sync_request" },
-      }),
-    )
-  }
+// Reset a room to a fresh game, with colors alternating between games of the match
+function resetGameState(room) {
+  stopClock(room)
+  room.gameState = createGameState(room.settings)
+  room.gameState.creatorColor = getCreatorColor(room)
+  roomBoards.delete(room.id)
 }
 
 // Forward game messages between players
@@ -634,91 +2445,97 @@ function handleGameMessage(ws, data) {
   const { pin, message } = data
 
   if (!pin || !ws.room) {
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: "Not in a valid room",
-      }),
-    )
+    sendMessageError(ws, { code: "not_in_room", message: "Not in a valid room" }, data.requestId)
     return
   }
 
   // Find room by PIN (could be player or viewer PIN)
   const room = pinToRoom.get(pin)
   if (!room) {
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: "Room not found",
-      }),
-    )
+    sendMessageError(ws, { code: "room_not_found", message: "Room not found" }, data.requestId)
     return
   }
 
   // Verify the WebSocket is actually in this room
   if (ws.room !== room.id) {
-    ws.send(
-      JSON.stringify({
-        type: "error",
-        message: "WebSocket not in the correct room",
-      }),
-    )
+    sendMessageError(ws, { code: "wrong_room", message: "WebSocket not in the correct room" }, data.requestId)
+    return
+  }
+
+  // Results, offers and rematches can only come from the players
+  const color = getPlayerColor(room, ws.id)
+  if (PLAYER_GAME_MESSAGES.includes(message.type) && !color) {
+    const error = { code: "not_a_player", message: `Only players can send ${message.type}` }
+    sendMessageError(ws, error, data.requestId)
+    return
+  }
+
+  // The server decides how a game ends - a client game_end or rematch cannot cut a game in progress short
+  if ((message.type === "game_end" || message.type === "rematch-accept") && room.gameState.status === "playing") {
+    const error = { code: "game_in_progress", message: "The game is still in progress" }
+    sendMessageError(ws, error, data.requestId)
+    return
+  }
+
+  // A draw can only be accepted while the opponent's offer stands
+  if (message.type === "draw-accept" && !isDrawOfferedTo(room, color)) {
+    sendMessageError(ws, { code: "no_draw_offer", message: "There is no draw offer to accept" }, data.requestId)
     return
   }
 
   // Update room activity timestamp
   room.lastActivity = Date.now()
 
-  // Track moves in room game state
+  if (message.type === "draw-offer") {
+    room.gameState.drawOfferBy = color
+  }
+
+  // Validate and track moves in room game state - illegal moves are never forwarded
   if (message.type === "move") {
-    room.gameState.moves.push(message.uci)
-    room.gameState.turn = room.gameState.turn === "w" ? "b" : "w"
-    console.log(`Move tracked: ${message.uci}, moves: ${room.gameState.moves.length}, turn: ${room.gameState.turn}`)
-  }
-
-  // Reset game state on resignation, game end, or draw accept for fresh game
-  if (message.type === "resign" || message.type === "game_end" || message.type === "draw-accept") {
-    console.log(`${message.type} detected - preparing for fresh game state`)
-    room.gameState = {
-      fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
-      moves: [],
-      turn: "w",
-      status: "waiting",
+    const rejection = applyMove(room, ws.id, message.uci)
+    if (rejection) {
+      getClientLog(ws).info("Move rejected", { uci: message.uci, code: rejection.code })
+      const { fen, turn } = room.gameState
+      sendMessageError(ws, { ...rejection, uci: message.uci ?? null, fen, turn }, data.requestId)
+      return
     }
-    console.log("Game state reset for fresh game")
+    // Relay the move as it was applied, not as it was sent
+    const { moves, turn } = room.gameState
+    message.uci = moves[moves.length - 1]
+    getClientLog(ws).debug("Move tracked", { uci: message.uci, moves: moves.length, turn })
+    scheduleFlagCheck(room)
   }
 
+  // Clocks are owned by the server - client timer syncs are answered with the server's clocks
+  if (message.type === "timer_sync" || message.type === "sync_request") {
+    // Delayed viewers get their clocks with the held events
+    if (!ws.isViewer || room.spectatorQueue.length === 0) sendTimerSync(room, ws)
+    return
+  }
+
+  // Resignation, game end or draw accept - the game state is reset for a fresh game once the message is relayed.
+  // Only a started game can end - a resign or draw-accept after the end is not scored twice
+  const isGameOverMessage = message.type === "resign" || message.type === "game_end" || message.type === "draw-accept"
+  const { status, gameStartSent } = room.gameState
+  const gameStarted = status === "playing" || (status === "waiting" && gameStartSent)
+  const outcome = isGameOverMessage && gameStarted ? getReportedOutcome(room, ws.id, message) : null
+
   // If rematch accepted, reset game state and broadcast game_start
   if (message.type === "rematch-accept") {
-    console.log("Rematch accepted - resetting game state and broadcasting game start")
-    room.gameState = {
-      fen: "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1",
-      moves: [],
-      turn: "w",
-      status: "waiting",
+    getRoomLog(room).info("Rematch accepted - resetting game state and broadcasting game start")
+    if (room.match && room.match.status === "finished") {
+      room.match = createMatch(room.settings.totalGames)
     }
+    resetGameState(room)
     broadcastGameStart(room) // Trigger game_start for both players
   }
 
-  // Determine the recipient
-  let recipientId
+  // Determine the recipient - the sender's opponent
+  const audience = []
   if (ws.id === room.creator.clientId) {
-    recipientId = room.joiner?.clientId
+    audience.push("joiner")
   } else if (room.joiner && ws.id === room.joiner.clientId) {
-    recipientId = room.creator.clientId
-  }
-
-  // Forward the message to the recipient
-  if (recipientId) {
-    const recipientWs = clients.get(recipientId)
-    if (recipientWs && recipientWs.readyState === WebSocket.OPEN) {
-      recipientWs.send(
-        JSON.stringify({
-          type: "game_message",
-          message,
-        }),
-      )
-    }
+    audience.push("creator")
   }
 
   // Also send game messages to all viewers so they can watch the game
@@ -730,20 +2547,38 @@ function handleGameMessage(ws, data) {
     message.type === "game_end" ||
     message.type === "draw-offer" ||
     message.type === "draw-accept" ||
-    message.type === "timer_sync" ||
     message.type === "connection_status"
   ) {
-    room.viewers.forEach((viewer) => {
-      const viewerWs = clients.get(viewer.clientId)
-      if (viewerWs && viewerWs.readyState === WebSocket.OPEN) {
-        viewerWs.send(
-          JSON.stringify({
-            type: "game_message",
-            message,
-          }),
-        )
-      }
+    audience.push("viewers")
+  }
+
+  // Forward the message with a sequence number so it can be replayed on resume
+  if (audience.length > 0) {
+    emitRoomEvent(room, audience, {
+      type: "game_message",
+      message,
     })
+    gameMessagesRelayed.inc({ type: gameMessageTypes.includes(message.type) ? message.type : "other" })
+  }
+
+  // Score the game after the resignation or draw is relayed, so clients see it before the match_update
+  if (isGameOverMessage) {
+    getClientLog(ws).info("Game over message - preparing for fresh game state", { type: message.type })
+    if (outcome) {
+      endGame(room, outcome.result, outcome.reason, { notify: false })
+    }
+    resetGameState(room)
+    getRoomLog(room).debug("Game state reset for fresh game")
+  }
+
+  // Everyone gets the server's clocks after each move, then the result if the move ended the game
+  if (message.type === "move") {
+    broadcastTimerSync(room)
+
+    const outcome = detectGameOver(getRoomBoard(room))
+    if (outcome) {
+      endGame(room, outcome.result, outcome.reason)
+    }
   }
 
   // Save last few messages for history (optional)
@@ -772,45 +2607,227 @@ function handleLeaveRoom(ws) {
   if (ws.isViewer) {
     // Remove from viewers list
     room.viewers = room.viewers.filter((viewer) => viewer.clientId !== ws.id)
-    console.log(`Viewer left room ${roomId}. Remaining viewers: ${room.viewers.length}`)
+    getClientLog(ws).info("Viewer left room", { viewers: room.viewers.length })
 
     // Notify all participants about updated viewer count
     broadcastViewerUpdate(room)
   } else if (room.creator.clientId === ws.id) {
     // Creator disconnected (likely temporary due to Railway timeout)
-    console.log(`Creator temporarily disconnected from room ${roomId}`)
+    getClientLog(ws).info("Creator temporarily disconnected")
 
     // Mark creator as disconnected but preserve their slot
     room.creator.connected = false
     room.creator.clientId = null
 
     // Don't send opponent_left immediately - this might be a temporary disconnect
-    console.log(`Creator slot preserved for reconnection in room ${roomId}`)
+    getRoomLog(room).debug("Creator slot preserved for reconnection")
+    startGracePeriod(room, "creator")
   } else if (room.joiner && room.joiner.clientId === ws.id) {
     // Joiner disconnected (likely temporary due to Railway timeout)
-    console.log(`Joiner temporarily disconnected from room ${roomId}`)
+    getClientLog(ws).info("Joiner temporarily disconnected")
 
     // Mark joiner as disconnected but preserve their slot
     room.joiner.connected = false
     room.joiner.clientId = null
 
     // Don't send opponent_left immediately - this might be a temporary disconnect
-    console.log(`Joiner slot preserved for reconnection in room ${roomId}`)
+    getRoomLog(room).debug("Joiner slot preserved for reconnection")
+    startGracePeriod(room, "joiner")
   }
 
   ws.room = null
   ws.isViewer = false
 }
 
+// Copy of a room for a snapshot - socket-bound fields are dropped since connections do not survive a restart
+function serializeRoom(room) {
+  return {
+    ...room,
+    creator: { ...room.creator, clientId: null, connected: false },
+    joiner: room.joiner ? { ...room.joiner, clientId: null, connected: false } : null,
+    viewers: [],
+    eventLog: room.eventLog.slice(-SNAPSHOT_EVENT_LOG_SIZE),
+  }
+}
+
+// Write a snapshot of every room to the room store
+function saveSnapshot() {
+  const snapshot = {
+    savedAt: Date.now(),
+    rooms: Array.from(gameRooms.values())
+      .filter((room) => room.playerPin && room.viewerPin)
+      .map(serializeRoom),
+  }
+
+  return roomStore.save(snapshot).catch((error) => {
+    logger.error("Error saving room snapshot", { error })
+  })
+}
+
+// Save a snapshot shortly, batching bursts of changes into one write
+function scheduleSnapshot() {
+  // During shutdown the rooms are saved once more after the drain instead.
+  // Nothing ever restores a snapshot kept in memory, so it is not taken at all
+  if (snapshotTimer || shuttingDown || roomStore.name === "memory") return
+  snapshotTimer = setTimeout(() => {
+    snapshotTimer = null
+    saveSnapshot()
+  }, SNAPSHOT_DELAY)
+}
+
+// Rehydrate rooms from the last snapshot so players can reconnect with their PINs
+function restoreRooms(snapshot) {
+  if (!snapshot || !Array.isArray(snapshot.rooms)) return
+
+  const now = Date.now()
+  const downtime = Math.max(0, now - (snapshot.savedAt || now))
+
+  snapshot.rooms.forEach((room) => {
+    // Clocks were frozen while the server was down - resume them where the snapshot left them
+    const { clocks } = room.gameState
+    if (clocks && clocks.lastMoveAt !== null) {
+      clocks.lastMoveAt += downtime
+    }
+    room.lastActivity = now
+    room.chat = room.chat || createChatState()
+    room.seq = room.seq || 0
+    room.eventLog = room.eventLog || []
+    room.spectatorQueue = room.spectatorQueue || []
+    room.spectatorPly = room.spectatorPly || 0
+    room.pinOwner = room.pinOwner || room.id
+
+    gameRooms.set(room.id, room)
+    pinToRoom.set(room.playerPin, room)
+    pinToRoom.set(room.viewerPin, room)
+
+    if (room.gameState.status === "playing") {
+      scheduleFlagCheck(room)
+    }
+    releaseSpectatorEvents(room)
+  })
+
+  logger.info("Restored rooms from snapshot", { rooms: snapshot.rooms.length, store: roomStore.name })
+
+  // Take the PIN reservations back - a room whose PIN another instance handed out meanwhile cannot be reached
+  return Promise.all(
+    snapshot.rooms.map((room) =>
+      renewRoomPins(room).then((renewed) => {
+        if (renewed) return
+        getRoomLog(room).error("Dropping restored room - its PIN now belongs to another room")
+        removeRoom(room)
+      }),
+    ),
+  )
+}
+
+// A player dropped out of an active room - tell the others and give them a window to come back
+function startGracePeriod(room, seat) {
+  if (room.state !== "active") return
+
+  const key = `${room.id}:${seat}`
+  clearTimeout(graceTimers.get(key))
+
+  const deadline = Date.now() + RECONNECT_GRACE_MS
+  room[seat].disconnectDeadline = deadline
+
+  sendToRoom(room, {
+    type: "opponent_disconnected",
+    seat,
+    playerName: room[seat].name,
+    countdown: Math.round(RECONNECT_GRACE_MS / 1000), // Seconds until the game is ended as abandoned
+    deadline,
+    gameActive: room.gameState.status !== "ended", // The countdown ends a started or not yet started game
+  })
+
+  const timer = setTimeout(() => {
+    graceTimers.delete(key)
+    delete room[seat].disconnectDeadline
+    if (gameRooms.get(room.id) !== room || room[seat].clientId) return
+    handleAbandonment(room, seat)
+  }, RECONNECT_GRACE_MS)
+  graceTimers.set(key, timer)
+}
+
+// A player came back within the grace window - cancel the countdown and tell the others
+function endGracePeriod(room, seat) {
+  const key = `${room.id}:${seat}`
+  if (!graceTimers.has(key)) return
+
+  clearTimeout(graceTimers.get(key))
+  graceTimers.delete(key)
+  delete room[seat].disconnectDeadline
+
+  sendToRoom(room, {
+    type: "opponent_reconnected",
+    seat,
+    playerName: room[seat].name,
+  })
+}
+
+// Stop every grace countdown in a room
+function clearGracePeriods(room) {
+  for (const seat of ["creator", "joiner"]) {
+    const key = `${room.id}:${seat}`
+    clearTimeout(graceTimers.get(key))
+    graceTimers.delete(key)
+  }
+}
+
+// The grace window ran out - the absent player forfeits, or the game is aborted if it barely started
+function handleAbandonment(room, seat) {
+  const { gameState } = room
+  if (gameState.status === "ended") return
+
+  getRoomLog(room).info("Player did not reconnect in time - game abandoned", { seat })
+
+  if (gameState.moves.length < 2) {
+    abortGame(room)
+    return
+  }
+
+  const absentColor = seat === "creator" ? gameState.creatorColor : gameState.creatorColor === "w" ? "b" : "w"
+  endGame(room, absentColor === "w" ? "0-1" : "1-0", "abandonment")
+}
+
+// Call off the current game without a result - it is not scored or archived
+function abortGame(room) {
+  const { gameState } = room
+  stopClock(room)
+  if (gameState.clocks) gameState.clocks.lastMoveAt = null
+
+  gameState.status = "ended"
+  gameState.result = "*"
+  gameState.reason = "aborted"
+  room.lastActivity = Date.now()
+
+  getRoomLog(room).info("Game aborted")
+
+  sendToRoom(room, {
+    type: "game_message",
+    message: {
+      type: "game_end",
+      source: "server",
+      result: "*",
+      reason: "aborted",
+      winner: null,
+      fen: gameState.fen,
+      timestamp: Date.now(),
+    },
+  })
+  scheduleSnapshot()
+}
+
 // Ping connections every 15 seconds for cost optimization
 const pingInterval = setInterval(() => {
   wss.clients.forEach((ws) => {
     if (ws.isAlive === false) {
+      heartbeatTerminations.inc()
       handleLeaveRoom(ws)
       return ws.terminate()
     }
 
     ws.isAlive = false
+    ws.pingSentAt = Date.now()
     ws.ping()
   })
 }, 15000)
@@ -825,61 +2842,49 @@ const cleanupInterval = setInterval(() => {
     const timeSinceActivity = now - room.lastActivity
 
     if (timeSinceActivity > INACTIVE_TIMEOUT) {
-      console.log(`Closing inactive room ${pin} (inactive for ${Math.round(timeSinceActivity / 1000)}s)`)
+      getRoomLog(room).info("Closing inactive room", { inactiveSeconds: Math.round(timeSinceActivity / 1000) })
+      inactiveRoomsClosed.inc()
 
-      // Notify all participants before closing
-      const closeMessage = {
-        type: "room_closed",
-        reason: "Room closed due to inactivity",
-      }
+      closeRoom(room, "Room closed due to inactivity")
+    }
+  }
 
-      // Notify creator
-      if (room.creator) {
-        const creatorWs = clients.get(room.creator.clientId)
-        if (creatorWs && creatorWs.readyState === WebSocket.OPEN) {
-          creatorWs.send(JSON.stringify(closeMessage))
-          creatorWs.close()
-        }
-      }
+  pruneRateLimiters()
 
-      // Notify joiner
-      if (room.joiner) {
-        const joinerWs = clients.get(room.joiner.clientId)
-        if (joinerWs && joinerWs.readyState === WebSocket.OPEN) {
-          joinerWs.send(JSON.stringify(closeMessage))
-          joinerWs.close()
-        }
-      }
+  logger.debug("Active rooms and connections", { rooms: gameRooms.size, connections: clients.size })
+}, 30000)
 
-      // Notify viewers
-      room.viewers.forEach((viewer) => {
-        const viewerWs = clients.get(viewer.clientId)
-        if (viewerWs && viewerWs.readyState === WebSocket.OPEN) {
-          viewerWs.send(JSON.stringify(closeMessage))
-          viewerWs.close()
-        }
-      })
+// Heartbeat over the backplane - announce this instance, keep the PINs of its rooms reserved
+// and drop clients of instances that went quiet
+const presenceInterval = setInterval(() => {
+  // The open challenges ride along so other instances keep their boards in sync
+  const presence = { kind: "heartbeat", origin: instanceId, challenges: getLocalChallenges() }
+  backplane.publish("rooms", presence).catch((error) => {
+    logger.error("Error sending backplane heartbeat", { error })
+  })
 
-      // Delete the room and PIN mappings
-      pinToRoom.delete(room.playerPin)
-      pinToRoom.delete(room.viewerPin)
-      gameRooms.delete(pin)
-    }
-  }
+  gameRooms.forEach((room) => {
+    renewRoomPins(room)
+      .then((renewed) => {
+        if (!renewed) getRoomLog(room).error("Room PIN is reserved by another room")
+      })
+      .catch((error) => getRoomLog(room).error("Error renewing room PINs", { error }))
+  })
 
-  console.log(`Active rooms: ${gameRooms.size}, Active connections: ${clients.size}`)
-}, 30000)
+  expireRemoteSockets(Date.now())
+}, INSTANCE_HEARTBEAT_MS)
 
 // Clean up intervals on server close
 wss.on("close", () => {
   clearInterval(pingInterval)
   clearInterval(cleanupInterval)
+  clearInterval(presenceInterval)
 })
 
 // Health check endpoint
 app.get("/health", (req, res) => {
   const serverInfo = {
-    status: "ok",
+    status: shuttingDown ? "shutting_down" : "ok",
     timestamp: new Date().toISOString(),
     connections: {
       total: wss.clients.size,
@@ -887,7 +2892,13 @@ app.get("/health", (req, res) => {
     },
     uptime: process.uptime(),
   }
-  res.status(200).json(serverInfo)
+  res.status(shuttingDown ? 503 : 200).json(serverInfo)
+})
+
+// Prometheus metrics
+app.get("/metrics", (req, res) => {
+  res.type("text/plain; version=0.0.4")
+  res.send(metrics.render())
 })
 
 // Check if game is ready to start (for creators and viewers to poll)
@@ -911,13 +2922,121 @@ app.get("/api/game-status/:pin", (req, res) => {
     playerPin: room.playerPin,
     viewerPin: room.viewerPin,
     settings: room.settings,
+    fen: room.gameState ? getGameSnapshot(room, getSpectatorPly(room)).fen : null, // Delayed like the viewers' view
     pinType: isPlayerPin ? "player" : isViewerPin ? "viewer" : "unknown",
     allowConnection: gameReady || isPlayerPin, // Players can connect to lobby, viewers need active game
   })
 })
 
-// Get active rooms (for debug)
-app.get("/api/rooms", (req, res) => {
+// Admin API access - ADMIN_TOKEN must be sent as a Bearer token, the API is disabled without it
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN
+  if (!adminToken) {
+    return res.status(404).json({ error: "Admin API is disabled" })
+  }
+
+  const header = req.headers.authorization || ""
+  const given = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : "")
+  const expected = Buffer.from(adminToken)
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    logger.warn("Rejected admin request", { path: req.path, address: getClientAddress(req) })
+    return res.status(401).json({ error: "Invalid admin token" })
+  }
+  next()
+}
+
+// Full detail of a room for the admin API, including both PINs
+function toAdminRoom(room) {
+  const toSeat = (seat) =>
+    seat && { name: seat.name, playerId: seat.playerId, clientId: seat.clientId, connected: seat.connected }
+  return {
+    roomId: room.id,
+    playerPin: room.playerPin,
+    viewerPin: room.viewerPin,
+    state: room.state,
+    isPublic: room.isPublic,
+    createdAt: room.createdAt,
+    lastActivity: room.lastActivity,
+    creator: toSeat(room.creator),
+    joiner: toSeat(room.joiner),
+    viewers: room.viewers,
+    settings: room.settings,
+    match: room.match,
+    game: {
+      status: room.gameState.status,
+      moves: room.gameState.moves.length,
+      turn: room.gameState.turn,
+      result: room.gameState.result || null,
+    },
+    seq: room.seq,
+  }
+}
+
+// Look up the room of an admin request, answering 404 if it is not on this instance
+function getAdminRoom(req, res) {
+  const room = gameRooms.get(req.params.roomId)
+  if (!room) {
+    res.status(404).json({ error: "Room not found" })
+  }
+  return room
+}
+
+// Admin: every room on this instance
+app.get("/api/admin/rooms", requireAdmin, (req, res) => {
+  res.json(Array.from(gameRooms.values()).map(toAdminRoom))
+})
+
+// Admin: a room with its live game state, relayed messages and chat
+app.get("/api/admin/rooms/:roomId", requireAdmin, (req, res) => {
+  const room = getAdminRoom(req, res)
+  if (!room) return
+
+  res.json({
+    ...toAdminRoom(room),
+    gameState: getGameSnapshot(room),
+    messages: room.messages,
+    chat: room.chat,
+  })
+})
+
+// Admin: close a room, sending everyone in it room_closed with the given reason
+app.post("/api/admin/rooms/:roomId/close", requireAdmin, (req, res) => {
+  const room = getAdminRoom(req, res)
+  if (!room) return
+
+  const { reason } = req.body || {}
+  const closeReason = typeof reason === "string" && reason ? reason : "Room closed by an administrator"
+  getRoomLog(room).info("Room closed by admin", { reason: closeReason })
+  closeRoom(room, closeReason)
+  res.json({ closed: room.id })
+})
+
+// Admin: kick a viewer ({ clientId }) or a player ({ seat } or { clientId })
+app.post("/api/admin/rooms/:roomId/kick", requireAdmin, (req, res) => {
+  const room = getAdminRoom(req, res)
+  if (!room) return
+
+  const { clientId, seat, reason } = req.body || {}
+  const kickReason = typeof reason === "string" && reason ? reason : "Removed by an administrator"
+  if (!kickFromRoom(room, { clientId, seat }, kickReason)) {
+    return res.status(404).json({ error: "Participant not found" })
+  }
+  res.json({ kicked: { clientId: clientId || null, seat: seat || null } })
+})
+
+// Admin: send a maintenance notice to every connected client on every instance
+app.post("/api/admin/broadcast", requireAdmin, (req, res) => {
+  const { message } = req.body || {}
+  if (typeof message !== "string" || !message) {
+    return res.status(400).json({ error: "A message is required" })
+  }
+
+  backplane.publish("rooms", { kind: "maintenance", message, timestamp: Date.now() })
+  res.status(202).json({ sent: true })
+})
+
+// Get active rooms (for debug) - includes PINs, so admin only
+app.get("/api/rooms", requireAdmin, (req, res) => {
   const roomsInfo = Array.from(gameRooms.entries()).map(([roomId, room]) => ({
     roomId,
     playerPin: room.playerPin,
@@ -932,19 +3051,239 @@ app.get("/api/rooms", (req, res) => {
   res.json(roomsInfo)
 })
 
+// Issue an account token for the WebSocket upgrade and the HTTP API
+function issueAuthToken(account) {
+  const expiresAt = Date.now() + AUTH_TOKEN_TTL_MS
+  return {
+    token: authTokens.issue({ userId: account.id, exp: expiresAt }),
+    expiresAt,
+    user: { id: account.id, username: account.username },
+  }
+}
+
+// Create an account - its ID doubles as a player profile ID for ratings
+app.post("/api/auth/register", async (req, res) => {
+  const { username, password } = req.body || {}
+  if (typeof username !== "string" || !/^[A-Za-z0-9_-]{3,20}$/.test(username)) {
+    return res.status(400).json({ error: "Username must be 3-20 letters, digits, _ or -" })
+  }
+  if (typeof password !== "string" || password.length < 8 || password.length > 200) {
+    return res.status(400).json({ error: "Password must be 8-200 characters" })
+  }
+
+  try {
+    const account = await accountStore.register(username, password)
+    if (!account) {
+      return res.status(409).json({ error: "Username already taken" })
+    }
+    playerStore.create({ id: account.id, name: account.username })
+    logger.info("Account registered", { username: account.username, userId: account.id })
+    res.status(201).json(issueAuthToken(account))
+  } catch (error) {
+    logger.error("Error registering account", { error })
+    res.status(500).json({ error: "Failed to register" })
+  }
+})
+
+// Log in with username and password
+app.post("/api/auth/login", async (req, res) => {
+  const { username, password } = req.body || {}
+  if (typeof username !== "string" || typeof password !== "string") {
+    return res.status(400).json({ error: "Username and password are required" })
+  }
+
+  try {
+    const account = await accountStore.authenticate(username, password)
+    if (!account) {
+      return res.status(401).json({ error: "Invalid username or password" })
+    }
+    res.json(issueAuthToken(account))
+  } catch (error) {
+    logger.error("Error logging in", { error })
+    res.status(500).json({ error: "Failed to log in" })
+  }
+})
+
+// Current account for a Bearer token
+app.get("/api/auth/me", (req, res) => {
+  const account = verifyAuthToken(getRequestToken(req))
+  if (!account) {
+    return res.status(401).json({ error: "Invalid or expired token" })
+  }
+  res.json({ id: account.id, username: account.username, player: playerStore.get(account.id) })
+})
+
+// Open public challenges (for the challenge board)
+app.get("/api/lobby", (req, res) => {
+  res.json({ rooms: getOpenChallenges() })
+})
+
+// Register a player profile - the returned ID is sent as playerId to play rated games
+app.post("/api/players", (req, res) => {
+  const name = typeof req.body?.name === "string" ? req.body.name.trim() : ""
+  if (!name || name.length > 50) {
+    return res.status(400).json({ error: "Name must be 1-50 characters" })
+  }
+
+  res.status(201).json(playerStore.create({ name }))
+})
+
+// Get a player profile with ratings per time-control category
+app.get("/api/players/:id", (req, res) => {
+  const player = playerStore.get(req.params.id)
+  if (!player) {
+    return res.status(404).json({ error: "Player not found" })
+  }
+  res.json(player)
+})
+
+// List completed games, newest first - optional ?player=name&limit=&offset=
+app.get("/api/games", (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200)
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0)
+  const player = typeof req.query.player === "string" ? req.query.player : undefined
+
+  res.json(gameArchive.list({ player, limit, offset }))
+})
+
+// Download a completed game as PGN
+app.get("/api/games/:id/pgn", (req, res) => {
+  gameArchive
+    .getPgn(req.params.id)
+    .then((pgn) => {
+      if (!pgn) {
+        return res.status(404).json({ error: "Game not found" })
+      }
+      res.type("application/x-chess-pgn")
+      res.set("Content-Disposition", `attachment; filename="chessaki-${req.params.id}.pgn"`)
+      res.send(pgn)
+    })
+    .catch((error) => {
+      logger.error("Error reading game", { gameId: req.params.id, error })
+      res.status(500).json({ error: "Failed to read game" })
+    })
+})
+
 // Log WebSocket server info
 wss.on("listening", () => {
-  console.log(`WebSocket server is listening on port ${port}`)
+  logger.info("WebSocket server is listening", { port })
 })
 
 // Log WebSocket errors
 wss.on("error", (error) => {
-  console.error("WebSocket server error:", error)
+  logger.error("WebSocket server error", { error })
 })
 
-// Start the server
-server.listen(port, "0.0.0.0", () => {
-  console.log(`Server running on port ${port}`)
-  console.log(`Health check available at: http://localhost:${port}/health`)
-  console.log(`WebSocket server ready for connections`)
-})
+// Restore rooms from the last snapshot and join the backplane, then start the server
+roomStore
+  .load()
+  .then(restoreRooms)
+  .catch((error) => {
+    logger.error("Error restoring rooms from snapshot", { error })
+  })
+  .then(() =>
+    Promise.all([
+      backplane.subscribe("rooms", (message) => {
+        if (message.kind === "lookup") handleRoomLookup(message)
+        if (message.kind === "maintenance") sendMaintenanceNotice(message)
+        if (message.kind === "lobby_update") handleRemoteLobbyUpdate(message)
+        if (message.kind === "heartbeat" && message.origin !== instanceId) {
+          instanceLastSeen.set(message.origin, Date.now())
+          syncRemoteChallenges(message.origin, message.challenges || [])
+        }
+      }),
+      backplane.subscribe(`instance:${instanceId}`, handleInstanceMessage),
+    ]),
+  )
+  .then(() => {
+    logger.info("Joined backplane", { instanceId, backplane: backplane.name })
+  })
+  .catch((error) => {
+    logger.error("Error joining backplane", { error })
+  })
+  .finally(() => {
+    server.listen(port, "0.0.0.0", () => {
+      logger.info("Server running", { port, health: `http://localhost:${port}/health` })
+    })
+  })
+
+// Resolve once every WebSocket has disconnected or the deadline has passed
+function waitForDrain(deadline) {
+  return new Promise((resolve) => {
+    const check = () => {
+      if (wss.clients.size === 0 || Date.now() >= deadline) return resolve()
+      setTimeout(check, 250)
+    }
+    check()
+  })
+}
+
+// Save rooms, player profiles and accounts so the next instance can pick up the games
+function saveForHandoff() {
+  clearTimeout(snapshotTimer)
+  snapshotTimer = null
+  return Promise.all([roomStore.name !== "memory" ? saveSnapshot() : null, playerStore.flush(), accountStore.flush()])
+}
+
+// Graceful shutdown: refuse new rooms, tell clients to reconnect, save rooms, drain, then close everything
+function shutdown(signal) {
+  if (shuttingDown) {
+    logger.warn("Second shutdown signal - exiting now", { signal })
+    process.exit(1)
+  }
+  shuttingDown = true
+  logger.info("Shutting down", { signal, clients: wss.clients.size, rooms: gameRooms.size, drainMs: SHUTDOWN_DRAIN_MS })
+
+  // Never hang on a stuck client or store
+  setTimeout(() => {
+    logger.error("Shutdown timed out - exiting")
+    process.exit(1)
+  }, SHUTDOWN_DRAIN_MS + 10000).unref()
+
+  // Stop listening - open connections stay up through the drain
+  const serverClosed = new Promise((resolve) => server.close(resolve))
+
+  // Only this instance's sockets - clients on other instances keep their connection.
+  // Reconnects are spread out so the next instance is not hit by every client at once
+  const roomsPreserved = roomStore.name !== "memory"
+  wss.clients.forEach((clientWs) => {
+    if (clientWs.readyState !== WebSocket.OPEN) return
+    clientWs.send(
+      JSON.stringify({
+        type: "server_restarting",
+        message: "Server is restarting - reconnect to continue",
+        reconnectIn: 1000 + Math.floor(Math.random() * 4000), // Suggested delay in ms before reconnecting
+        drainMs: SHUTDOWN_DRAIN_MS, // This connection is closed after at most this long
+        roomsPreserved, // Rooms survive the restart, so players can reclaim their seats with their session token
+      }),
+    )
+  })
+
+  saveForHandoff()
+    .then(() => waitForDrain(Date.now() + SHUTDOWN_DRAIN_MS))
+    .then(() => {
+      logger.info("Drain finished", { remaining: wss.clients.size })
+      // Save the games as they stand now, then close whoever is still connected
+      return saveForHandoff()
+    })
+    .then(() => {
+      wss.clients.forEach((clientWs) => clientWs.close(1012, "Server restarting"))
+      return waitForDrain(Date.now() + 1000)
+    })
+    .then(() => {
+      wss.clients.forEach((clientWs) => clientWs.terminate())
+      wss.close()
+      server.closeAllConnections()
+      return Promise.all([backplane.close(), serverClosed])
+    })
+    .catch((error) => {
+      logger.error("Error during shutdown", { error })
+    })
+    .finally(() => {
+      logger.info("Shutdown complete")
+      process.exit(0)
+    })
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"))
+process.on("SIGINT", () => shutdown("SIGINT"))
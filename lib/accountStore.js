@@ -0,0 +1,86 @@
+const fs = require("fs")
+const path = require("path")
+const { randomUUID, randomBytes, scrypt, timingSafeEqual } = require("crypto")
+const { promisify } = require("util")
+const { logger } = require("./logger")
+
+const scryptAsync = promisify(scrypt)
+const KEY_LENGTH = 64
+const log = logger.child({ component: "accountStore" })
+
+// Hash a password with scrypt and a fresh salt
+function hashPassword(password) {
+  const salt = randomBytes(16).toString("hex")
+  return scryptAsync(password, salt, KEY_LENGTH).then((key) => ({ salt, passwordHash: key.toString("hex") }))
+}
+
+// User accounts kept in memory and written to a JSON file on every change
+function createAccountStore(filePath) {
+  const accounts = new Map()
+  const byUsername = new Map()
+  const tempPath = `${filePath}.tmp`
+  let pending = Promise.resolve()
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+  try {
+    JSON.parse(fs.readFileSync(filePath, "utf8")).forEach((account) => {
+      accounts.set(account.id, account)
+      byUsername.set(account.username.toLowerCase(), account)
+    })
+  } catch (error) {
+    if (error.code !== "ENOENT") log.error("Error loading accounts", { error })
+  }
+
+  log.info("Account store loaded", { accounts: accounts.size, filePath })
+
+  function save() {
+    const text = JSON.stringify(Array.from(accounts.values()))
+    pending = pending
+      .catch(() => {})
+      .then(() => fs.promises.writeFile(tempPath, text, "utf8"))
+      .then(() => fs.promises.rename(tempPath, filePath))
+    return pending
+  }
+
+  return {
+    get(id) {
+      return (typeof id === "string" && accounts.get(id)) || null
+    },
+
+    // Create an account - resolves to null if the username is taken (case-insensitive)
+    register(username, password) {
+      if (byUsername.has(username.toLowerCase())) return Promise.resolve(null)
+
+      return hashPassword(password).then(({ salt, passwordHash }) => {
+        // Checked again in case another registration finished while hashing
+        if (byUsername.has(username.toLowerCase())) return null
+
+        const account = { id: randomUUID(), username, salt, passwordHash, createdAt: Date.now() }
+        accounts.set(account.id, account)
+        byUsername.set(username.toLowerCase(), account)
+        return save().then(() => account)
+      })
+    },
+
+    // Check a username and password - resolves to the account or null
+    authenticate(username, password) {
+      const account = byUsername.get(String(username).toLowerCase())
+      // Hash anyway for unknown users so response times do not reveal which usernames exist
+      const salt = account ? account.salt : "0".repeat(32)
+
+      return scryptAsync(password, salt, KEY_LENGTH).then((key) => {
+        if (!account) return null
+        const expected = Buffer.from(account.passwordHash, "hex")
+        return timingSafeEqual(key, expected) ? account : null
+      })
+    },
+
+    // Wait for the last write to finish - register() already reported any error to its caller
+    flush() {
+      return pending.catch(() => {})
+    },
+  }
+}
+
+module.exports = { createAccountStore }
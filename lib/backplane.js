@@ -0,0 +1,135 @@
+const { EventEmitter } = require("events")
+const { logger } = require("./logger")
+
+const log = logger.child({ component: "backplane" })
+
+// Shared by every in-process backplane so several servers in one process can talk to each other
+const localBus = new EventEmitter()
+localBus.setMaxListeners(0)
+// Reservations shared the same way - maps a key to { owner, expiresAt }
+const localReservations = new Map()
+
+// Redis scripts so checking the owner and changing the key happen atomically
+const RESERVE_SCRIPT = `
+local current = redis.call("GET", KEYS[1])
+if current and current ~= ARGV[1] then return 0 end
+redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2])
+return 1`
+const RELEASE_SCRIPT = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) end
+return 0`
+
+// In-process backplane - messages are delivered asynchronously in publish order, like a broker would.
+// Every backplane can also reserve keys such as room PINs: reserve(key, owner, ttlMs) resolves to false
+// while another owner holds the key, and an owner reserving its own key again just extends it.
+function createMemoryBackplane() {
+  const subscriptions = []
+
+  return {
+    name: "memory",
+    lookupTimeout: 50, // How long to wait for another instance to claim a PIN
+
+    publish(channel, message) {
+      const data = JSON.stringify(message)
+      setImmediate(() => localBus.emit(channel, JSON.parse(data)))
+      return Promise.resolve()
+    },
+
+    subscribe(channel, handler) {
+      // Handlers run from setImmediate - an exception there would otherwise crash the process
+      const listener = (message) => {
+        try {
+          handler(message)
+        } catch (error) {
+          log.error("Error handling backplane message", { channel, error })
+        }
+      }
+      localBus.on(channel, listener)
+      subscriptions.push([channel, listener])
+      return Promise.resolve()
+    },
+
+    reserve(key, owner, ttlMs) {
+      const now = Date.now()
+      const current = localReservations.get(key)
+      if (current && current.owner !== owner && current.expiresAt > now) return Promise.resolve(false)
+      localReservations.set(key, { owner, expiresAt: now + ttlMs })
+      return Promise.resolve(true)
+    },
+
+    release(key, owner) {
+      if (localReservations.get(key)?.owner === owner) localReservations.delete(key)
+      return Promise.resolve()
+    },
+
+    close() {
+      subscriptions.forEach(([channel, handler]) => localBus.off(channel, handler))
+      subscriptions.length = 0
+      return Promise.resolve()
+    },
+  }
+}
+
+// Backplane over a Redis-compatible broker's pub/sub - one connection publishes, one subscribes
+function createRedisBackplane(url) {
+  const Redis = require("ioredis")
+  const publisher = new Redis(url)
+  const subscriber = new Redis(url)
+  const handlers = new Map()
+
+  publisher.on("error", (error) => log.error("Backplane publisher error", { error: error.message }))
+  subscriber.on("error", (error) => log.error("Backplane subscriber error", { error: error.message }))
+
+  subscriber.on("message", (channel, data) => {
+    const handler = handlers.get(channel)
+    if (!handler) return
+    try {
+      handler(JSON.parse(data))
+    } catch (error) {
+      log.error("Error handling backplane message", { channel, error })
+    }
+  })
+
+  return {
+    name: "redis",
+    lookupTimeout: 500,
+
+    publish(channel, message) {
+      return publisher.publish(channel, JSON.stringify(message))
+    },
+
+    subscribe(channel, handler) {
+      handlers.set(channel, handler)
+      return subscriber.subscribe(channel)
+    },
+
+    reserve(key, owner, ttlMs) {
+      return publisher.eval(RESERVE_SCRIPT, 1, `chessaki:${key}`, owner, ttlMs).then((result) => result === 1)
+    },
+
+    release(key, owner) {
+      return publisher.eval(RELEASE_SCRIPT, 1, `chessaki:${key}`, owner).then(() => {})
+    },
+
+    close() {
+      handlers.clear()
+      return Promise.all([subscriber.quit(), publisher.quit()])
+    },
+  }
+}
+
+// Pick a backplane by name ("memory" or "redis")
+function createBackplane(type, { url } = {}) {
+  switch (type) {
+    case "memory":
+      return createMemoryBackplane()
+
+    case "redis":
+      return createRedisBackplane(url)
+
+    default:
+      throw new Error(`Unknown backplane: ${type}`)
+  }
+}
+
+module.exports = { createBackplane }
@@ -0,0 +1,18 @@
+// Escape a string for use inside a regular expression
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+}
+
+// Word filter for chat - banned words are masked with asterisks, matching whole words case-insensitively
+function createChatFilter(bannedWords = []) {
+  const words = bannedWords.map((word) => word.trim()).filter(Boolean)
+  const pattern = words.length > 0 ? new RegExp(`\\b(${words.map(escapeRegExp).join("|")})\\b`, "gi") : null
+
+  return {
+    clean(text) {
+      return pattern ? text.replace(pattern, (match) => "*".repeat(match.length)) : text
+    },
+  }
+}
+
+module.exports = { createChatFilter }
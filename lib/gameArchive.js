@@ -0,0 +1,114 @@
+const fs = require("fs")
+const path = require("path")
+const { Chess } = require("chess.js")
+const { logger } = require("./logger")
+
+const log = logger.child({ component: "gameArchive" })
+const GAME_ID_PATTERN = /^[a-f0-9-]{36}$/
+const HEADER_PATTERN = /^\[(\w+) "((?:[^"\\]|\\.)*)"\]$/
+
+// Format a Date as a PGN date tag (YYYY.MM.DD)
+function formatPgnDate(date) {
+  const pad = (n) => String(n).padStart(2, "0")
+  return `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`
+}
+
+// Format a Date as a PGN time tag (HH:MM:SS)
+function formatPgnTime(date) {
+  return date.toISOString().slice(11, 19)
+}
+
+// Build PGN text from a list of UCI moves and a header map
+function buildPgn(moves, headers) {
+  const board = new Chess()
+  Object.entries(headers).forEach(([key, value]) => {
+    if (value !== null && value !== undefined) board.setHeader(key, String(value))
+  })
+  moves.forEach((uci) => {
+    board.move({ from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci.length > 4 ? uci[4] : undefined })
+  })
+  return `${board.pgn()}\n`
+}
+
+// Read the header tags from the top of a PGN file
+function parsePgnHeaders(pgn) {
+  const headers = {}
+  for (const line of pgn.split(/\r?\n/)) {
+    const match = HEADER_PATTERN.exec(line.trim())
+    if (!match) break
+    headers[match[1]] = match[2].replace(/\\(.)/g, "$1")
+  }
+  return headers
+}
+
+// Summary of a stored game for listings
+function toSummary(id, headers) {
+  return {
+    id,
+    white: headers.White || null,
+    black: headers.Black || null,
+    result: headers.Result || "*",
+    termination: headers.Termination || null,
+    date: headers.Date || null,
+    timeControl: headers.TimeControl || null,
+    round: headers.Round || null,
+    plyCount: headers.PlyCount ? Number(headers.PlyCount) : null,
+    endedAt: headers.UTCDate && headers.UTCTime ? Date.parse(`${headers.UTCDate.replace(/\./g, "-")}T${headers.UTCTime}Z`) : null,
+  }
+}
+
+// Completed games stored as one PGN file per game, with summaries kept in memory for listings
+function createGameArchive(directory) {
+  const summaries = new Map()
+
+  fs.mkdirSync(directory, { recursive: true })
+
+  // Index the games already on disk
+  fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".pgn"))
+    .forEach((file) => {
+      const id = path.basename(file, ".pgn")
+      try {
+        const headers = parsePgnHeaders(fs.readFileSync(path.join(directory, file), "utf8"))
+        summaries.set(id, toSummary(id, headers))
+      } catch (error) {
+        log.error("Failed to index archived game", { file, error })
+      }
+    })
+
+  log.info("Game archive loaded", { games: summaries.size, directory })
+
+  return {
+    // Store a finished game - returns a promise for the stored summary
+    save(id, moves, headers) {
+      const pgn = buildPgn(moves, headers)
+      return fs.promises.writeFile(path.join(directory, `${id}.pgn`), pgn, "utf8").then(() => {
+        const summary = toSummary(id, headers)
+        summaries.set(id, summary)
+        return summary
+      })
+    },
+
+    // Read a stored game's PGN - resolves to null if there is no such game
+    getPgn(id) {
+      if (!GAME_ID_PATTERN.test(id) || !summaries.has(id)) return Promise.resolve(null)
+      return fs.promises.readFile(path.join(directory, `${id}.pgn`), "utf8").catch((error) => {
+        if (error.code === "ENOENT") return null
+        throw error
+      })
+    },
+
+    // List stored games, newest first, optionally filtered by player name
+    list({ player, limit = 50, offset = 0 } = {}) {
+      let games = Array.from(summaries.values())
+      if (player) {
+        const name = player.toLowerCase()
+        games = games.filter((game) => game.white?.toLowerCase() === name || game.black?.toLowerCase() === name)
+      }
+      games.sort((a, b) => (b.endedAt || 0) - (a.endedAt || 0))
+      return { total: games.length, games: games.slice(offset, offset + limit) }
+    },
+  }
+}
+
+module.exports = { createGameArchive, formatPgnDate, formatPgnTime }
@@ -0,0 +1,95 @@
+// Glicko-2 rating system (Glickman, "Example of the Glicko-2 system") - every game is its own rating period
+
+const SCALE = 173.7178
+const DEFAULT_RATING = 1500
+const DEFAULT_RD = 350
+const DEFAULT_VOLATILITY = 0.06
+const TAU = 0.5 // Constrains volatility changes over time
+const EPSILON = 0.000001
+
+// Rating for a player who has not played yet
+function createRating() {
+  return { rating: DEFAULT_RATING, rd: DEFAULT_RD, volatility: DEFAULT_VOLATILITY, games: 0 }
+}
+
+function g(phi) {
+  return 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI))
+}
+
+function expectedScore(mu, muOpponent, phiOpponent) {
+  return 1 / (1 + Math.exp(-g(phiOpponent) * (mu - muOpponent)))
+}
+
+// New volatility via the Illinois algorithm (step 5 of the paper)
+function computeVolatility(phi, sigma, delta, v) {
+  const a = Math.log(sigma * sigma)
+  const f = (x) => {
+    const ex = Math.exp(x)
+    const denominator = phi * phi + v + ex
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * denominator * denominator) - (x - a) / (TAU * TAU)
+  }
+
+  let A = a
+  let B
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v)
+  } else {
+    let k = 1
+    while (f(a - k * TAU) < 0) k++
+    B = a - k * TAU
+  }
+
+  let fA = f(A)
+  let fB = f(B)
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA)
+    const fC = f(C)
+    if (fC * fB <= 0) {
+      A = B
+      fA = fB
+    } else {
+      fA = fA / 2
+    }
+    B = C
+    fB = fC
+  }
+
+  return Math.exp(A / 2)
+}
+
+// Rate a player after a period - results are [{ rating, rd, score }] with score 1, 0.5 or 0
+function updateRating(player, results) {
+  const mu = (player.rating - DEFAULT_RATING) / SCALE
+  const phi = player.rd / SCALE
+  const sigma = player.volatility
+
+  if (results.length === 0) {
+    const rd = Math.min(Math.sqrt(phi * phi + sigma * sigma) * SCALE, DEFAULT_RD)
+    return { ...player, rd }
+  }
+
+  const opponents = results.map(({ rating, rd, score }) => {
+    const muOpponent = (rating - DEFAULT_RATING) / SCALE
+    const phiOpponent = rd / SCALE
+    return { gPhi: g(phiOpponent), expected: expectedScore(mu, muOpponent, phiOpponent), score }
+  })
+
+  const v = 1 / opponents.reduce((sum, { gPhi, expected }) => sum + gPhi * gPhi * expected * (1 - expected), 0)
+  const improvement = opponents.reduce((sum, { gPhi, expected, score }) => sum + gPhi * (score - expected), 0)
+  const delta = v * improvement
+
+  const newSigma = computeVolatility(phi, sigma, delta, v)
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma)
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v)
+  const newMu = mu + newPhi * newPhi * improvement
+
+  return {
+    ...player,
+    rating: newMu * SCALE + DEFAULT_RATING,
+    rd: Math.min(newPhi * SCALE, DEFAULT_RD),
+    volatility: newSigma,
+    games: (player.games || 0) + results.length,
+  }
+}
+
+module.exports = { createRating, updateRating }
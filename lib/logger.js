@@ -0,0 +1,63 @@
+// Structured JSON logger - one line per entry with time, level, message and context fields.
+// LOG_LEVEL sets the lowest level written: debug, info (default), warn, error or silent.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 }
+const MAX_DEPTH = 8
+
+// Fields holding room PINs or secrets - their values never reach the log
+const REDACTED_KEYS = new Set([
+  "pin",
+  "playerPin",
+  "viewerPin",
+  "sessionToken",
+  "sessionNonce",
+  "token",
+  "password",
+  "passwordHash",
+  "salt",
+])
+
+// Copy a value for logging with redacted fields replaced and errors turned into plain objects
+function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack }
+  }
+  if (!value || typeof value !== "object") return value
+  if (depth >= MAX_DEPTH) return "[truncated]"
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1))
+
+  const copy = {}
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = REDACTED_KEYS.has(key) && field != null ? "[redacted]" : redact(field, depth + 1)
+  }
+  return copy
+}
+
+// Logger whose entries all carry the given context, e.g. { clientId, roomId }
+function createLogger(context = {}) {
+  function write(level, message, fields) {
+    // Read on every call so LOG_LEVEL from .env applies even to loggers created before it was loaded
+    const threshold = LEVELS[String(process.env.LOG_LEVEL || "info").toLowerCase()] ?? LEVELS.info
+    if (LEVELS[level] < threshold) return
+
+    const entry = { time: new Date().toISOString(), level, msg: message, ...redact({ ...context, ...fields }) }
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout
+    stream.write(`${JSON.stringify(entry)}\n`)
+  }
+
+  return {
+    debug: (message, fields) => write("debug", message, fields),
+    info: (message, fields) => write("info", message, fields),
+    warn: (message, fields) => write("warn", message, fields),
+    error: (message, fields) => write("error", message, fields),
+
+    // Logger with extra context added to every entry
+    child(fields) {
+      return createLogger({ ...context, ...fields })
+    },
+  }
+}
+
+const logger = createLogger()
+
+module.exports = { createLogger, logger }
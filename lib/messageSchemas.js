@@ -0,0 +1,134 @@
+// Declarative schemas for inbound WebSocket messages - each field lists its allowed types and limits.
+// Fields not listed are ignored, so clients can send extra data without being rejected.
+
+const pin = { type: "string", maxLength: 16 }
+const playerName = { type: "string", maxLength: 100 }
+const playerId = { type: "string", maxLength: 100 }
+const sessionToken = { type: "string", maxLength: 1000 }
+const timeControl = { type: ["string", "number", "object"] }
+const totalGames = { type: "number", integer: true, min: 1, max: 100 }
+const countdown = { type: "number", min: 0 }
+const spectatorDelay = { type: ["number", "object"] }
+
+// Any message may carry a requestId, echoed back in error replies
+const commonFields = {
+  requestId: { type: ["string", "number"], maxLength: 100 },
+}
+
+const messageSchemas = {
+  create_room: {
+    playerName,
+    playerId,
+    timeControl,
+    totalGames,
+    countdown,
+    spectatorDelay,
+    isPublic: { type: "boolean" },
+  },
+  join_room: { pin: { ...pin, required: true }, playerName, playerId, sessionToken },
+  game_message: { pin: { ...pin, required: true }, message: { type: "object", required: true } },
+  leave_room: {},
+  ping: { timestamp: { type: "number" } },
+  recreate_room: {
+    pin: { ...pin, required: true },
+    playerName,
+    playerId,
+    timeControl,
+    totalGames,
+    countdown,
+    spectatorDelay,
+  },
+  find_match: { playerName, playerId, timeControl: { ...timeControl, required: true }, totalGames, countdown },
+  cancel_match: {},
+  lobby_subscribe: {},
+  lobby_unsubscribe: {},
+  accept_challenge: { roomId: { type: "string", required: true, maxLength: 100 }, playerName, playerId },
+  chat: { text: { type: "string", required: true }, channel: { type: "string", maxLength: 20 } },
+  resume: { lastSeq: { type: "number", integer: true, min: 0 } },
+}
+
+// game_message subtypes the server acts on - other subtypes are relayed to the opponent as they are
+const gameMessageSchemas = {
+  move: { uci: { type: "string", required: true, maxLength: 5 } },
+  resign: {},
+  "draw-offer": {},
+  "draw-accept": {},
+  "rematch-offer": {},
+  "rematch-accept": {},
+  game_end: { result: { type: "string", maxLength: 10 }, reason: { type: "string", maxLength: 100 } },
+  connection_status: {},
+  timer_sync: {},
+  sync_request: {},
+}
+
+// Type name as used in schemas - arrays and null are told apart from plain objects
+function typeOf(value) {
+  if (value === null) return "null"
+  if (Array.isArray(value)) return "array"
+  return typeof value
+}
+
+// Check one field against its rule - returns an error or null
+function validateField(name, value, rule) {
+  if (value === undefined) {
+    return rule.required ? { code: "missing_field", field: name, message: `${name} is required` } : null
+  }
+
+  const types = Array.isArray(rule.type) ? rule.type : [rule.type]
+  if (!types.includes(typeOf(value))) {
+    return { code: "invalid_field", field: name, message: `${name} must be of type ${types.join(" or ")}` }
+  }
+  if (typeof value === "string" && rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return { code: "invalid_field", field: name, message: `${name} must be at most ${rule.maxLength} characters` }
+  }
+  if (typeof value === "number") {
+    if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+      const expected = rule.integer ? "an integer" : "a number"
+      return { code: "invalid_field", field: name, message: `${name} must be ${expected}` }
+    }
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+      return { code: "invalid_field", field: name, message: `${name} is out of range` }
+    }
+  }
+  return null
+}
+
+// Check every field of an object against a schema - returns the first error or null
+function validateFields(data, schema, prefix = "") {
+  for (const [name, rule] of Object.entries(schema)) {
+    const error = validateField(prefix + name, data[name], rule)
+    if (error) return error
+  }
+  return null
+}
+
+// Validate a parsed client message - returns { code, message, field } or null if it is well formed
+function validateMessage(data) {
+  if (typeOf(data) !== "object") {
+    return { code: "invalid_message", message: "Message must be a JSON object" }
+  }
+  if (typeof data.type !== "string") {
+    return { code: "missing_field", field: "type", message: "type is required" }
+  }
+
+  const schema = Object.hasOwn(messageSchemas, data.type) ? messageSchemas[data.type] : null
+  if (!schema) {
+    return { code: "unknown_message_type", message: `Unknown message type: ${data.type}` }
+  }
+
+  const error = validateFields(data, { ...commonFields, ...schema })
+  if (error || data.type !== "game_message") return error
+
+  const { message } = data
+  if (typeof message.type !== "string") {
+    return { code: "missing_field", field: "message.type", message: "message.type is required" }
+  }
+  const subtypeSchema = Object.hasOwn(gameMessageSchemas, message.type) ? gameMessageSchemas[message.type] : {}
+  return validateFields(message, subtypeSchema, "message.")
+}
+
+// Known message types and game_message subtypes with a schema, e.g. for rate limits and labelling metrics
+const messageTypes = Object.keys(messageSchemas)
+const gameMessageTypes = Object.keys(gameMessageSchemas)
+
+module.exports = { validateMessage, messageTypes, gameMessageTypes }
@@ -0,0 +1,88 @@
+// Minimal Prometheus metrics registry - counters, gauges and histograms rendered in the text exposition format
+
+// Escape a label value for the exposition format
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")
+}
+
+// Render a label set like {code="1000"} - empty for no labels
+function formatLabels(labels) {
+  const entries = Object.entries(labels)
+  if (entries.length === 0) return ""
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(",")}}`
+}
+
+function createMetricsRegistry() {
+  const metrics = []
+
+  // Register a metric - render() returns its sample lines
+  function register(name, help, type, render) {
+    metrics.push({ name, help, type, render })
+  }
+
+  return {
+    // Counter that only goes up - counters without label names start out at 0
+    counter(name, help, labelNames = []) {
+      const values = new Map()
+      if (labelNames.length === 0) values.set("", { labels: {}, value: 0 })
+      register(name, help, "counter", () =>
+        Array.from(values.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`),
+      )
+
+      return {
+        inc(labels = {}, amount = 1) {
+          const key = formatLabels(labels)
+          const entry = values.get(key) || { labels, value: 0 }
+          entry.value += amount
+          values.set(key, entry)
+        },
+      }
+    },
+
+    // Gauge read at scrape time - collect returns a number or [{ labels, value }]
+    gauge(name, help, collect) {
+      register(name, help, "gauge", () => {
+        const samples = collect()
+        if (typeof samples === "number") return [`${name} ${samples}`]
+        return samples.map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+      })
+    },
+
+    // Histogram with fixed upper bounds, in the unit of the observed values
+    histogram(name, help, buckets) {
+      const bounds = [...buckets].sort((a, b) => a - b)
+      const counts = bounds.map(() => 0)
+      let sum = 0
+      let count = 0
+
+      register(name, help, "histogram", () => [
+        ...bounds.map((bound, i) => `${name}_bucket{le="${bound}"} ${counts[i]}`),
+        `${name}_bucket{le="+Inf"} ${count}`,
+        `${name}_sum ${sum}`,
+        `${name}_count ${count}`,
+      ])
+
+      return {
+        observe(value) {
+          bounds.forEach((bound, i) => {
+            if (value <= bound) counts[i]++
+          })
+          sum += value
+          count++
+        },
+      }
+    },
+
+    // Every metric in the Prometheus text format
+    render() {
+      const lines = metrics.flatMap(({ name, help, type, render }) => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} ${type}`,
+        ...render(),
+      ])
+      return `${lines.join("\n")}\n`
+    },
+  }
+}
+
+module.exports = { createMetricsRegistry }
@@ -0,0 +1,69 @@
+const fs = require("fs")
+const path = require("path")
+const { randomUUID } = require("crypto")
+const { logger } = require("./logger")
+
+const SAVE_DELAY = 1000
+const log = logger.child({ component: "playerStore" })
+
+// Player profiles kept in memory and written to a JSON file - writes are debounced and queued
+function createPlayerStore(filePath) {
+  const players = new Map()
+  const tempPath = `${filePath}.tmp`
+  let pending = Promise.resolve()
+  let saveTimer = null
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+  try {
+    JSON.parse(fs.readFileSync(filePath, "utf8")).forEach((player) => players.set(player.id, player))
+  } catch (error) {
+    if (error.code !== "ENOENT") log.error("Error loading player profiles", { error })
+  }
+
+  log.info("Player store loaded", { players: players.size, filePath })
+
+  // Write every profile to disk
+  function flush() {
+    clearTimeout(saveTimer)
+    saveTimer = null
+    const text = JSON.stringify(Array.from(players.values()))
+    pending = pending
+      .catch(() => {})
+      .then(() => fs.promises.writeFile(tempPath, text, "utf8"))
+      .then(() => fs.promises.rename(tempPath, filePath))
+      .catch((error) => log.error("Error saving player profiles", { error }))
+    return pending
+  }
+
+  // Save shortly, batching bursts of changes into one write
+  function scheduleSave() {
+    if (saveTimer) return
+    saveTimer = setTimeout(flush, SAVE_DELAY)
+  }
+
+  return {
+    get(id) {
+      return (typeof id === "string" && players.get(id)) || null
+    },
+
+    // Register a new profile with an optional fixed ID (e.g. an account's user ID)
+    create({ name, id = randomUUID() }) {
+      const player = { id, name, createdAt: Date.now(), ratings: {} }
+      players.set(id, player)
+      scheduleSave()
+      return player
+    },
+
+    // Persist changes made to a profile returned by get() or create()
+    update(player) {
+      players.set(player.id, player)
+      scheduleSave()
+      return player
+    },
+
+    flush,
+  }
+}
+
+module.exports = { createPlayerStore }
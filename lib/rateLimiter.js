@@ -0,0 +1,54 @@
+// Parse a limit written as "count/seconds", e.g. "5/60" - returns { capacity, refillPerSecond } or null
+function parseRateLimit(value) {
+  if (typeof value !== "string") return null
+
+  const [countStr, secondsStr] = value.split("/")
+  const count = parseFloat(countStr)
+  const seconds = secondsStr === undefined ? 1 : parseFloat(secondsStr)
+  if (!Number.isFinite(count) || count <= 0 || !Number.isFinite(seconds) || seconds <= 0) return null
+
+  return { capacity: count, refillPerSecond: count / seconds }
+}
+
+// Token buckets keyed by a string (a client ID, an address) - each bucket starts full and refills continuously
+function createRateLimiter({ capacity, refillPerSecond }) {
+  const buckets = new Map()
+
+  // Current bucket for a key with the refill since its last use applied
+  function getBucket(key, now) {
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now }
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond)
+    bucket.updatedAt = now
+    buckets.set(key, bucket)
+    return bucket
+  }
+
+  return {
+    capacity,
+
+    // Take a token for a key - false if its bucket is empty
+    take(key, now = Date.now()) {
+      const bucket = getBucket(key, now)
+      if (bucket.tokens < 1) return false
+      bucket.tokens -= 1
+      return true
+    },
+
+    // Milliseconds until the key has a token again
+    retryAfter(key, now = Date.now()) {
+      const bucket = getBucket(key, now)
+      return bucket.tokens >= 1 ? 0 : Math.ceil(((1 - bucket.tokens) / refillPerSecond) * 1000)
+    },
+
+    // Forget buckets that have refilled completely - a full bucket is the same as a new one
+    prune(now = Date.now()) {
+      for (const [key, bucket] of buckets) {
+        if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSecond >= capacity) {
+          buckets.delete(key)
+        }
+      }
+    },
+  }
+}
+
+module.exports = { createRateLimiter, parseRateLimit }
@@ -0,0 +1,68 @@
+const fs = require("fs")
+const path = require("path")
+
+// Room snapshots kept in process memory - the default, nothing survives a restart
+function createMemoryRoomStore() {
+  let snapshot = null
+
+  return {
+    name: "memory",
+
+    load() {
+      return Promise.resolve(snapshot)
+    },
+
+    save(next) {
+      snapshot = JSON.parse(JSON.stringify(next))
+      return Promise.resolve()
+    },
+  }
+}
+
+// Room snapshots written to a JSON file - each write goes to a temp file and is renamed
+// into place, and writes are queued so an older snapshot never overwrites a newer one
+function createFileRoomStore(filePath) {
+  const tempPath = `${filePath}.tmp`
+  let pending = Promise.resolve()
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+
+  return {
+    name: "file",
+
+    load() {
+      return fs.promises
+        .readFile(filePath, "utf8")
+        .then((text) => JSON.parse(text))
+        .catch((error) => {
+          if (error.code === "ENOENT") return null
+          throw error
+        })
+    },
+
+    save(snapshot) {
+      const text = JSON.stringify(snapshot)
+      pending = pending
+        .catch(() => {})
+        .then(() => fs.promises.writeFile(tempPath, text, "utf8"))
+        .then(() => fs.promises.rename(tempPath, filePath))
+      return pending
+    },
+  }
+}
+
+// Pick a room store by name ("memory" or "file")
+function createRoomStore(type, { filePath } = {}) {
+  switch (type) {
+    case "memory":
+      return createMemoryRoomStore()
+
+    case "file":
+      return createFileRoomStore(filePath)
+
+    default:
+      throw new Error(`Unknown room store: ${type}`)
+  }
+}
+
+module.exports = { createRoomStore }
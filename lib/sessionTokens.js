@@ -0,0 +1,34 @@
+const { createHmac, timingSafeEqual } = require("crypto")
+
+// Signed session tokens - a base64url JSON payload and an HMAC-SHA256 signature joined by a dot
+function createSessionTokens(secret) {
+  const sign = (encodedPayload) => createHmac("sha256", secret).update(encodedPayload).digest("base64url")
+
+  return {
+    // Issue a token carrying the given payload
+    issue(payload) {
+      const encodedPayload = Buffer.from(JSON.stringify(payload)).toString("base64url")
+      return `${encodedPayload}.${sign(encodedPayload)}`
+    },
+
+    // Verify a token and return its payload, or null if it is malformed or the signature does not match
+    verify(token) {
+      if (typeof token !== "string") return null
+
+      const [encodedPayload, signature, ...rest] = token.split(".")
+      if (!encodedPayload || !signature || rest.length > 0) return null
+
+      const expected = Buffer.from(sign(encodedPayload))
+      const actual = Buffer.from(signature)
+      if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) return null
+
+      try {
+        return JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"))
+      } catch (error) {
+        return null
+      }
+    },
+  }
+}
+
+module.exports = { createSessionTokens }
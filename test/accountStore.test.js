@@ -0,0 +1,37 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+process.env.LOG_LEVEL = "silent"
+const { createAccountStore } = require("../lib/accountStore")
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chessaki-accounts-"))
+  return path.join(dir, "accounts.json")
+}
+
+test("registers accounts and checks passwords", async () => {
+  const store = createAccountStore(tempFile())
+
+  const account = await store.register("Alice", "secret-password")
+  assert.equal(store.get(account.id), account)
+  assert.equal(await store.register("alice", "other-password"), null)
+
+  assert.equal(await store.authenticate("ALICE", "secret-password"), account)
+  assert.equal(await store.authenticate("alice", "wrong-password"), null)
+  assert.equal(await store.authenticate("nobody", "secret-password"), null)
+})
+
+test("flush waits for the last write so the accounts survive a restart", async () => {
+  const filePath = tempFile()
+  const store = createAccountStore(filePath)
+
+  await store.register("bob", "secret-password")
+  await store.flush()
+
+  const reloaded = createAccountStore(filePath)
+  const account = await reloaded.authenticate("bob", "secret-password")
+  assert.equal(account.username, "bob")
+})
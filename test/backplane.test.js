@@ -0,0 +1,56 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+process.env.LOG_LEVEL = "silent"
+const { createBackplane } = require("../lib/backplane")
+
+test("a reserved key is refused to other owners until it is released", async () => {
+  const a = createBackplane("memory")
+  const b = createBackplane("memory")
+
+  assert.equal(await a.reserve("pin:AB123", "room-a", 60000), true)
+  assert.equal(await b.reserve("pin:AB123", "room-b", 60000), false)
+  // Renewing your own reservation is allowed
+  assert.equal(await a.reserve("pin:AB123", "room-a", 60000), true)
+
+  // Only the owner can release it
+  await b.release("pin:AB123", "room-b")
+  assert.equal(await b.reserve("pin:AB123", "room-b", 60000), false)
+  await a.release("pin:AB123", "room-a")
+  assert.equal(await b.reserve("pin:AB123", "room-b", 60000), true)
+  await b.release("pin:AB123", "room-b")
+})
+
+test("an expired reservation can be taken by another owner", async () => {
+  const a = createBackplane("memory")
+  const b = createBackplane("memory")
+
+  assert.equal(await a.reserve("pin:CD456", "room-a", 10), true)
+  await new Promise((resolve) => setTimeout(resolve, 20))
+  assert.equal(await b.reserve("pin:CD456", "room-b", 60000), true)
+  await b.release("pin:CD456", "room-b")
+})
+
+test("messages reach subscribers on other in-process backplanes", async () => {
+  const a = createBackplane("memory")
+  const b = createBackplane("memory")
+  const received = new Promise((resolve) => b.subscribe("test-channel", resolve))
+
+  await a.publish("test-channel", { kind: "heartbeat", origin: "a" })
+  assert.deepEqual(await received, { kind: "heartbeat", origin: "a" })
+  await b.close()
+})
+
+test("a throwing subscriber does not stop delivery to the others", async () => {
+  const a = createBackplane("memory")
+  const b = createBackplane("memory")
+  await a.subscribe("throwing-channel", () => {
+    throw new Error("handler failed")
+  })
+  const received = new Promise((resolve) => b.subscribe("throwing-channel", resolve))
+
+  await a.publish("throwing-channel", { kind: "lookup" })
+  assert.deepEqual(await received, { kind: "lookup" })
+  await a.close()
+  await b.close()
+})
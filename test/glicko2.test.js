@@ -0,0 +1,47 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { createRating, updateRating } = require("../lib/glicko2")
+
+test("a new player starts at 1500 with the maximum deviation", () => {
+  assert.deepEqual(createRating(), { rating: 1500, rd: 350, volatility: 0.06, games: 0 })
+})
+
+// Worked example from Glickman, "Example of the Glicko-2 system"
+test("matches the worked example from the Glicko-2 paper", () => {
+  const player = { rating: 1500, rd: 200, volatility: 0.06, games: 0 }
+  const updated = updateRating(player, [
+    { rating: 1400, rd: 30, score: 1 },
+    { rating: 1550, rd: 100, score: 0 },
+    { rating: 1700, rd: 300, score: 0 },
+  ])
+
+  assert.equal(updated.rating.toFixed(2), "1464.05")
+  assert.equal(updated.rd.toFixed(2), "151.52")
+  assert.equal(updated.volatility.toFixed(5), "0.06000")
+  assert.equal(updated.games, 3)
+})
+
+test("a period without games only widens the deviation", () => {
+  const player = { rating: 1620, rd: 80, volatility: 0.06, games: 12 }
+  const updated = updateRating(player, [])
+
+  assert.equal(updated.rating, 1620)
+  assert.equal(updated.games, 12)
+  assert.ok(updated.rd > 80)
+})
+
+test("the deviation never grows past that of a new player", () => {
+  const updated = updateRating({ ...createRating(), rd: 349.9, volatility: 0.5 }, [])
+  assert.equal(updated.rd, 350)
+})
+
+test("winning raises the rating and losing lowers it by the same amount between equals", () => {
+  const a = createRating()
+  const b = createRating()
+  const winner = updateRating(a, [{ ...b, score: 1 }])
+  const loser = updateRating(b, [{ ...a, score: 0 }])
+
+  assert.ok(winner.rating > 1500)
+  assert.ok(loser.rating < 1500)
+  assert.equal((winner.rating - 1500).toFixed(6), (1500 - loser.rating).toFixed(6))
+})
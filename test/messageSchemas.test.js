@@ -0,0 +1,60 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const { validateMessage, gameMessageTypes } = require("../lib/messageSchemas")
+
+test("accepts well-formed messages and ignores extra fields", () => {
+  assert.equal(validateMessage({ type: "create_room", playerName: "Alice", timeControl: "5+3", totalGames: 3 }), null)
+  assert.equal(validateMessage({ type: "join_room", pin: "AB123", requestId: 7, extra: true }), null)
+  assert.equal(validateMessage({ type: "leave_room" }), null)
+})
+
+test("rejects messages that are not objects", () => {
+  for (const data of [null, [], "join_room", 42]) {
+    assert.equal(validateMessage(data).code, "invalid_message")
+  }
+})
+
+test("requires a known string type", () => {
+  assert.deepEqual(validateMessage({}), { code: "missing_field", field: "type", message: "type is required" })
+  assert.equal(validateMessage({ type: 5 }).code, "missing_field")
+  assert.equal(validateMessage({ type: "launch_missiles" }).code, "unknown_message_type")
+})
+
+test("does not treat inherited object properties as message types", () => {
+  assert.equal(validateMessage({ type: "toString" }).code, "unknown_message_type")
+  assert.equal(validateMessage({ type: "__proto__" }).code, "unknown_message_type")
+  assert.equal(validateMessage({ type: "game_message", pin: "AB123", message: { type: "constructor" } }), null)
+})
+
+test("reports missing required fields", () => {
+  assert.deepEqual(validateMessage({ type: "join_room" }), {
+    code: "missing_field",
+    field: "pin",
+    message: "pin is required",
+  })
+})
+
+test("reports fields of the wrong type, length or range", () => {
+  assert.equal(validateMessage({ type: "join_room", pin: 123 }).field, "pin")
+  assert.equal(validateMessage({ type: "join_room", pin: "A".repeat(17) }).code, "invalid_field")
+  assert.equal(validateMessage({ type: "create_room", totalGames: 1.5 }).field, "totalGames")
+  assert.equal(validateMessage({ type: "create_room", totalGames: 0 }).code, "invalid_field")
+  assert.equal(validateMessage({ type: "create_room", countdown: Infinity }).code, "invalid_field")
+  assert.equal(validateMessage({ type: "ping", requestId: { id: 1 } }).field, "requestId")
+})
+
+test("validates the subtype of game messages the server acts on", () => {
+  const gameMessage = (message) => ({ type: "game_message", pin: "AB123", message })
+
+  assert.equal(validateMessage(gameMessage({ type: "move", uci: "e2e4" })), null)
+  assert.equal(validateMessage(gameMessage({})).field, "message.type")
+  assert.equal(validateMessage(gameMessage({ type: "move" })).field, "message.uci")
+  assert.equal(validateMessage(gameMessage({ type: "move", uci: "e2e4e5" })).code, "invalid_field")
+  assert.equal(validateMessage({ type: "game_message", pin: "AB123", message: "move" }).field, "message")
+})
+
+test("relays game message subtypes without a schema as they are", () => {
+  assert.equal(validateMessage({ type: "game_message", pin: "AB123", message: { type: "emote", id: 3 } }), null)
+  assert.ok(gameMessageTypes.includes("move"))
+  assert.ok(!gameMessageTypes.includes("emote"))
+})
@@ -0,0 +1,55 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+const fs = require("fs")
+const os = require("os")
+const path = require("path")
+
+process.env.LOG_LEVEL = "silent"
+const { createPlayerStore } = require("../lib/playerStore")
+
+function tempFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "chessaki-players-"))
+  return path.join(dir, "players.json")
+}
+
+test("creates profiles with a generated or a fixed ID", () => {
+  const store = createPlayerStore(tempFile())
+
+  const guest = store.create({ name: "Alice" })
+  const account = store.create({ id: "user-1", name: "bob" })
+
+  assert.equal(typeof guest.id, "string")
+  assert.deepEqual(guest.ratings, {})
+  assert.equal(store.get(guest.id), guest)
+  assert.equal(store.get("user-1"), account)
+})
+
+test("unknown and non-string IDs are not found", () => {
+  const store = createPlayerStore(tempFile())
+  store.create({ id: "1", name: "Alice" })
+
+  assert.equal(store.get("missing"), null)
+  assert.equal(store.get(1), null)
+  assert.equal(store.get(undefined), null)
+  assert.equal(store.get({ id: "1" }), null)
+})
+
+test("flush writes profiles that a new store loads again", async () => {
+  const filePath = tempFile()
+  const store = createPlayerStore(filePath)
+  const player = store.create({ name: "Alice" })
+  player.ratings.blitz = { rating: 1550, rd: 200, volatility: 0.06, games: 1 }
+  store.update(player)
+  await store.flush()
+
+  const reloaded = createPlayerStore(filePath)
+  assert.deepEqual(reloaded.get(player.id), player)
+})
+
+test("starts empty when the file holds invalid JSON", () => {
+  const filePath = tempFile()
+  fs.writeFileSync(filePath, "{not json")
+
+  const store = createPlayerStore(filePath)
+  assert.equal(store.get("anything"), null)
+})
@@ -0,0 +1,57 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { createRateLimiter, parseRateLimit } = require("../lib/rateLimiter")
+
+test("parses count/seconds limits and rejects malformed ones", () => {
+  assert.deepEqual(parseRateLimit("5/60"), { capacity: 5, refillPerSecond: 5 / 60 })
+  assert.deepEqual(parseRateLimit("10"), { capacity: 10, refillPerSecond: 10 })
+  assert.equal(parseRateLimit("0/60"), null)
+  assert.equal(parseRateLimit("5/0"), null)
+  assert.equal(parseRateLimit("five/60"), null)
+  assert.equal(parseRateLimit(undefined), null)
+})
+
+test("a bucket allows a burst of its capacity, then refills over time", () => {
+  const limiter = createRateLimiter(parseRateLimit("2/10"))
+  const start = 1000000
+
+  assert.equal(limiter.take("client", start), true)
+  assert.equal(limiter.take("client", start), true)
+  assert.equal(limiter.take("client", start), false)
+  // Other keys have their own bucket
+  assert.equal(limiter.take("other", start), true)
+
+  // One token refills every 5 seconds
+  assert.equal(limiter.take("client", start + 4999), false)
+  assert.equal(limiter.take("client", start + 5000), true)
+  assert.equal(limiter.take("client", start + 5000), false)
+})
+
+test("retryAfter reports the wait until the next token", () => {
+  const limiter = createRateLimiter(parseRateLimit("1/10"))
+  const start = 1000000
+
+  assert.equal(limiter.retryAfter("client", start), 0)
+  limiter.take("client", start)
+  assert.equal(limiter.retryAfter("client", start), 10000)
+  assert.equal(limiter.retryAfter("client", start + 4000), 6000)
+  assert.equal(limiter.retryAfter("client", start + 10000), 0)
+})
+
+test("prune forgets only buckets that have refilled completely", () => {
+  const limiter = createRateLimiter(parseRateLimit("2/10"))
+  const start = 1000000
+
+  limiter.take("early", start)
+  limiter.take("late", start + 4000)
+  limiter.prune(start + 5000)
+
+  // "late" keeps its partly refilled bucket - had it been dropped, it would allow two more messages
+  assert.equal(limiter.retryAfter("late", start + 5000), 0)
+  assert.equal(limiter.take("late", start + 5000), true)
+  assert.equal(limiter.take("late", start + 5000), false)
+  assert.equal(limiter.take("early", start + 5000), true)
+  assert.equal(limiter.take("early", start + 5000), true)
+  assert.equal(limiter.take("early", start + 5000), false)
+})
@@ -0,0 +1,47 @@
+const test = require("node:test")
+const assert = require("node:assert/strict")
+
+const { createSessionTokens } = require("../lib/sessionTokens")
+
+const payload = { roomId: "room_1", seat: "creator", nonce: "abc123" }
+
+test("an issued token verifies back to its payload", () => {
+  const tokens = createSessionTokens("secret")
+  assert.deepEqual(tokens.verify(tokens.issue(payload)), payload)
+})
+
+test("a token with a changed payload is refused", () => {
+  const tokens = createSessionTokens("secret")
+  const [, signature] = tokens.issue(payload).split(".")
+  const forged = Buffer.from(JSON.stringify({ ...payload, seat: "joiner" })).toString("base64url")
+
+  assert.equal(tokens.verify(`${forged}.${signature}`), null)
+})
+
+test("a token with a changed signature is refused", () => {
+  const tokens = createSessionTokens("secret")
+  const [encodedPayload, signature] = tokens.issue(payload).split(".")
+  const flipped = (signature[0] === "A" ? "B" : "A") + signature.slice(1)
+
+  assert.equal(tokens.verify(`${encodedPayload}.${flipped}`), null)
+  assert.equal(tokens.verify(`${encodedPayload}.${signature.slice(1)}`), null)
+  assert.equal(tokens.verify(`${encodedPayload}.`), null)
+})
+
+test("tokens with extra dot segments or of the wrong type are refused", () => {
+  const tokens = createSessionTokens("secret")
+  const token = tokens.issue(payload)
+
+  assert.equal(tokens.verify(`${token}.extra`), null)
+  assert.equal(tokens.verify(token.split(".")[0]), null)
+  assert.equal(tokens.verify(""), null)
+  assert.equal(tokens.verify(null), null)
+  assert.equal(tokens.verify({ token }), null)
+})
+
+test("a token signed with a different secret is refused", () => {
+  const tokens = createSessionTokens("secret")
+  const otherTokens = createSessionTokens("other-secret")
+
+  assert.equal(tokens.verify(otherTokens.issue(payload)), null)
+})